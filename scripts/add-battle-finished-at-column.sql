@@ -0,0 +1,29 @@
+-- Momento en que se cerró cada partida (PATCH /api/battles/:id/finish).
+-- `updated_at` cambia con cualquier retoque posterior; el orden de las
+-- partidas en los ratings y su `played_at` salen de aquí.
+-- Las ya terminadas toman su `updated_at` actual.
+--
+-- Además, `player_rating_battles` guarda lo que necesita el Elo de cada
+-- partida puntuable (formato, alias, ganador, fecha), para recalcular tras
+-- un borrado o una fusión de alias sin releer los `initial_snapshot`.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/add-battle-finished-at-column.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+--
+-- Después, POST /api/leaderboard/rebuild rellena `player_rating_battles` y
+-- rehace el historial con el nuevo orden.
+
+ALTER TABLE battle_reports ADD COLUMN finished_at TEXT;
+
+UPDATE battle_reports SET finished_at = updated_at WHERE status = 'finished';
+
+CREATE TABLE IF NOT EXISTS player_rating_battles (
+  battle_id TEXT PRIMARY KEY,
+  format TEXT NOT NULL,
+  alias1 TEXT NOT NULL,
+  alias2 TEXT NOT NULL,
+  winner INTEGER,
+  finished_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_rating_battles_finished ON player_rating_battles(finished_at, battle_id);
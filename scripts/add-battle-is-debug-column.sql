@@ -0,0 +1,16 @@
+-- Añade `is_debug` a battle_reports: 1 si la partida tiene un evento
+-- `debug_enabled`. Lo mantiene PATCH /api/battles/:id/events (y el truncate),
+-- así el listado y las estadísticas ya no buscan en los eventos.
+-- Requiere scripts/create-battle-events-table.sql aplicado antes.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/add-battle-is-debug-column.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+
+ALTER TABLE battle_reports ADD COLUMN is_debug INTEGER NOT NULL DEFAULT 0;
+
+UPDATE battle_reports SET is_debug = 1
+WHERE EXISTS (SELECT 1 FROM battle_events e
+              WHERE e.battle_id = battle_reports.id AND e.kind = 'debug_enabled');
+
+CREATE INDEX IF NOT EXISTS idx_battle_reports_debug ON battle_reports(is_debug, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_battle_reports_scenario ON battle_reports(scenario_id);
@@ -0,0 +1,10 @@
+-- Versión de la contribución de cada partida a las estadísticas: cambia en
+-- cada escritura y los syncs de agregados solo se aplican si sigue siendo la
+-- que leyeron (dos syncs a la vez no cuentan la partida dos veces).
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/add-battle-stats-contrib-version.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+
+ALTER TABLE battle_stats_contrib ADD COLUMN version TEXT;
+
+UPDATE battle_stats_contrib SET version = lower(hex(randomblob(16))) WHERE version IS NULL;
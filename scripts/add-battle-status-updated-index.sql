@@ -0,0 +1,7 @@
+-- Índice para el cron de abandono (status = 'in_progress' AND updated_at < ?).
+-- El estado `abandoned` no necesita cambios de esquema: `status` es TEXT.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/add-battle-status-updated-index.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+
+CREATE INDEX IF NOT EXISTS idx_battle_reports_status_updated ON battle_reports(status, updated_at);
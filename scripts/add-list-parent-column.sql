@@ -0,0 +1,9 @@
+-- Linaje de listas: `parent_id` = lista de la que se hizo fork
+-- (POST /api/lists/:id/fork). NULL en las listas originales.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/add-list-parent-column.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+
+ALTER TABLE lists ADD COLUMN parent_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_lists_parent ON lists(parent_id);
@@ -0,0 +1,26 @@
+-- Borrador / publicado en escenarios y enlaces de vista previa de borradores
+-- (GET /api/scenarios/:id?preview=<token>).
+-- `publish_at` = publicación programada (la hace el cron); `published_at` =
+-- cuándo se publicó por primera vez.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/add-scenario-publishing.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+--
+-- Los escenarios que ya existen eran públicos: quedan publicados.
+
+ALTER TABLE scenarios ADD COLUMN published INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE scenarios ADD COLUMN published_at TEXT;
+ALTER TABLE scenarios ADD COLUMN publish_at TEXT;
+
+UPDATE scenarios SET published = 1, published_at = COALESCE(created_at, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+CREATE INDEX IF NOT EXISTS idx_scenarios_publish_at ON scenarios(publish_at) WHERE publish_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS scenario_previews (
+  token TEXT PRIMARY KEY,
+  scenario_id TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scenario_previews_scenario ON scenario_previews(scenario_id);
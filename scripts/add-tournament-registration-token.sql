@@ -0,0 +1,9 @@
+-- Inscripciones de torneo: `token_hash` = SHA-256 (hex) del token que
+-- devuelve la primera inscripción (POST /api/tournaments/:id/players).
+-- Solo quien lo presenta (o un admin) puede cambiar la lista de ese alias.
+-- NULL en las inscripciones anteriores: esas solo las cambia un admin.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/add-tournament-registration-token.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+
+ALTER TABLE tournament_players ADD COLUMN token_hash TEXT;
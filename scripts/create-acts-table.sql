@@ -0,0 +1,66 @@
+-- Actos de la campaña y posición de cada escenario dentro de su acto
+-- (GET /api/acts). A partir de aquí la numeración de escenarios sale de la
+-- estructura y `numeroEscenario` / `acto` en `data` son una copia.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/create-acts-table.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+--
+-- Crea un acto por cada valor distinto de `acto` (en orden de su primer
+-- escenario) y coloca cada escenario en el suyo según `numeroEscenario`.
+-- Los escenarios con número pero sin `acto` van a un acto «Sin acto» para
+-- no perder el número; solo los que no tienen ninguno de los dos se quedan
+-- fuera de la estructura.
+
+CREATE TABLE IF NOT EXISTS acts (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT,
+  position INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_acts_position ON acts(position);
+
+ALTER TABLE scenarios ADD COLUMN act_id TEXT;
+ALTER TABLE scenarios ADD COLUMN act_position INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_scenarios_act ON scenarios(act_id, act_position);
+
+INSERT INTO acts (id, title, position, created_at, updated_at)
+SELECT lower(hex(randomblob(4))), acto, ROW_NUMBER() OVER (ORDER BY first_num, acto),
+       strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM (
+  SELECT COALESCE(NULLIF(TRIM(json_extract(data, '$.acto')), ''), 'Sin acto') AS acto,
+         MIN(json_extract(data, '$.numeroEscenario')) AS first_num
+  FROM scenarios
+  WHERE TRIM(COALESCE(json_extract(data, '$.acto'), '')) != ''
+     OR json_extract(data, '$.numeroEscenario') IS NOT NULL
+  GROUP BY 1
+);
+
+UPDATE scenarios
+SET act_id = o.act_id, act_position = o.pos
+FROM (
+  SELECT s.id, a.id AS act_id,
+         ROW_NUMBER() OVER (
+           PARTITION BY a.id
+           ORDER BY json_extract(s.data, '$.numeroEscenario') IS NULL, json_extract(s.data, '$.numeroEscenario'), s.id
+         ) AS pos
+  FROM scenarios s JOIN acts a ON a.title = COALESCE(NULLIF(TRIM(json_extract(s.data, '$.acto')), ''), 'Sin acto')
+  WHERE TRIM(COALESCE(json_extract(s.data, '$.acto'), '')) != ''
+     OR json_extract(s.data, '$.numeroEscenario') IS NOT NULL
+) o
+WHERE scenarios.id = o.id;
+
+-- Numeración corrida a partir de la estructura (lo mismo que hace la API
+-- tras cada cambio)
+UPDATE scenarios
+SET data = json_set(data, '$.numeroEscenario', o.numero)
+FROM (
+  SELECT s.id, ROW_NUMBER() OVER (ORDER BY a.position, s.act_position) AS numero
+  FROM scenarios s JOIN acts a ON a.id = s.act_id
+) o
+WHERE scenarios.id = o.id;
+
+UPDATE scenarios SET data = json_set(data, '$.numeroEscenario', NULL) WHERE act_id IS NULL;
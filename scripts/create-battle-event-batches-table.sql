@@ -0,0 +1,15 @@
+-- Claves de idempotencia de PATCH /api/battles/:id/events.
+-- Cada append con `idempotencyKey` deja aquí una fila; si el simulador
+-- reintenta el mismo lote (timeout), la clave ya existe y no se duplica.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/create-battle-event-batches-table.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+
+CREATE TABLE IF NOT EXISTS battle_event_batches (
+  battle_id TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  first_seq INTEGER NOT NULL,
+  count INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (battle_id, idempotency_key)
+);
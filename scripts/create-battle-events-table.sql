@@ -0,0 +1,34 @@
+-- Eventos de Battle Reports en tabla propia: una fila por evento.
+-- Sustituye al blob JSON `battle_reports.events`, que se reescribía entero en
+-- cada PATCH /api/battles/:id/events.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/create-battle-events-table.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+--
+-- Es idempotente: INSERT OR IGNORE no duplica eventos ya migrados. Al final
+-- se vacía el blob (la columna se mantiene por compatibilidad, siempre '[]').
+
+CREATE TABLE IF NOT EXISTS battle_events (
+  battle_id TEXT NOT NULL,
+  seq INTEGER NOT NULL,
+  turn INTEGER,
+  phase TEXT,
+  kind TEXT NOT NULL,
+  payload TEXT NOT NULL DEFAULT '{}',
+  PRIMARY KEY (battle_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_battle_events_kind ON battle_events(battle_id, kind);
+
+-- Migración: `seq` = posición del evento en el array (0-based)
+INSERT OR IGNORE INTO battle_events (battle_id, seq, turn, phase, kind, payload)
+SELECT b.id,
+       CAST(e.key AS INTEGER),
+       json_extract(e.value, '$.turn'),
+       json_extract(e.value, '$.phase'),
+       COALESCE(json_extract(e.value, '$.kind'), 'unknown'),
+       COALESCE(json_extract(e.value, '$.payload'), '{}')
+FROM battle_reports b, json_each(b.events) e
+WHERE json_valid(b.events);
+
+UPDATE battle_reports SET events = '[]' WHERE events != '[]';
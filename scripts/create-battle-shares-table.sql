@@ -0,0 +1,15 @@
+-- Enlaces públicos de replay (GET /api/replays/:token).
+-- Un token por enlace; revocar = borrar la fila. `anonymize` = 1 sustituye
+-- los alias de los jugadores por "Jugador 1" / "Jugador 2".
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/create-battle-shares-table.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+
+CREATE TABLE IF NOT EXISTS battle_shares (
+  token TEXT PRIMARY KEY,
+  battle_id TEXT NOT NULL,
+  anonymize INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_battle_shares_battle ON battle_shares(battle_id);
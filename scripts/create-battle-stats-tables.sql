@@ -0,0 +1,62 @@
+-- Agregados de estadísticas de balance (GET /api/battles/stats*).
+-- Se mantienen al cerrar (/finish) y borrar partidas; ya no se recorren
+-- todos los eventos en cada petición.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/create-battle-stats-tables.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+--
+-- Después, rellenar con las partidas ya jugadas llamando (admin) a
+--   POST /api/battles/stats/rebuild
+-- hasta que devuelva "cursor": null. Lo mismo cada vez que cambie la lógica
+-- de agregación.
+
+-- Contribución de cada partida, para poder restarla exactamente
+CREATE TABLE IF NOT EXISTS battle_stats_contrib (
+  battle_id TEXT PRIMARY KEY,
+  mode TEXT NOT NULL,
+  format TEXT NOT NULL,
+  scenario_id TEXT,
+  winner INTEGER,
+  rounds INTEGER NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_battle_stats_contrib_scenario ON battle_stats_contrib(scenario_id);
+
+CREATE TABLE IF NOT EXISTS battle_stats_totals (
+  mode TEXT NOT NULL,
+  format TEXT NOT NULL,
+  games INTEGER NOT NULL DEFAULT 0,
+  total_rounds INTEGER NOT NULL DEFAULT 0,
+  win_p1 INTEGER NOT NULL DEFAULT 0,
+  win_p2 INTEGER NOT NULL DEFAULT 0,
+  draw INTEGER NOT NULL DEFAULT 0,
+  kills INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (mode, format)
+);
+
+-- `ended` = partidas que terminaron con exactamente `round` rondas
+CREATE TABLE IF NOT EXISTS battle_stats_rounds (
+  mode TEXT NOT NULL,
+  format TEXT NOT NULL,
+  round INTEGER NOT NULL,
+  ended INTEGER NOT NULL DEFAULT 0,
+  deaths INTEGER NOT NULL DEFAULT 0,
+  first_deaths INTEGER NOT NULL DEFAULT 0,
+  damage_sum REAL NOT NULL DEFAULT 0,
+  damage_count INTEGER NOT NULL DEFAULT 0,
+  bugs_added INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (mode, format, round)
+);
+
+CREATE TABLE IF NOT EXISTS battle_stats_functions (
+  mode TEXT NOT NULL,
+  format TEXT NOT NULL,
+  func TEXT NOT NULL,
+  fielded INTEGER NOT NULL DEFAULT 0,
+  wins INTEGER NOT NULL DEFAULT 0,
+  hits INTEGER NOT NULL DEFAULT 0,
+  damage REAL NOT NULL DEFAULT 0,
+  kills INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (mode, format, func)
+);
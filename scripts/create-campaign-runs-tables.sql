@@ -0,0 +1,30 @@
+-- Partidas de campaña (/api/campaigns/runs).
+-- `credits` y `unlocked_functions` (JSON con ids de `functions`) son el estado
+-- actual; cada resultado guarda lo que cambió y los ◈ con los que quedó.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/create-campaign-runs-tables.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+
+CREATE TABLE IF NOT EXISTS campaign_runs (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  credits INTEGER NOT NULL,
+  unlocked_functions TEXT NOT NULL DEFAULT '[]',
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_runs_created ON campaign_runs(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS campaign_run_results (
+  run_id TEXT NOT NULL,
+  seq INTEGER NOT NULL,
+  scenario_id TEXT NOT NULL,
+  result TEXT NOT NULL,
+  battle_id TEXT,
+  credits_delta INTEGER NOT NULL DEFAULT 0,
+  credits_after INTEGER NOT NULL,
+  unlocked TEXT NOT NULL DEFAULT '[]',
+  recorded_at TEXT NOT NULL,
+  PRIMARY KEY (run_id, seq)
+);
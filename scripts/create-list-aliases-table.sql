@@ -0,0 +1,17 @@
+-- Alias de ids de lista: id aleatorio antiguo → id de contenido.
+-- Las listas nuevas ya se guardan con id de contenido (hash de la lista);
+-- los enlaces con ids antiguos siguen resolviendo a través de esta tabla.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/create-list-aliases-table.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+--
+-- Después, POST /api/lists/dedupe (admin, paginado) migra las listas ya
+-- guardadas y colapsa los duplicados.
+
+CREATE TABLE IF NOT EXISTS list_aliases (
+  old_id TEXT PRIMARY KEY,
+  list_id TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_list_aliases_list ON list_aliases(list_id);
@@ -0,0 +1,32 @@
+-- Ratings Elo de jugadores (GET /api/leaderboard).
+-- Una fila por jugador y partida puntuada; el rating actual es la última.
+-- `player` es la clave normalizada del alias ya resuelta contra las fusiones
+-- de `player_aliases`; `alias` es el nombre tal y como se jugó.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/create-player-ratings-tables.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+--
+-- Tras crearlas, POST /api/leaderboard/rebuild puntúa las partidas existentes.
+
+CREATE TABLE IF NOT EXISTS player_rating_history (
+  battle_id TEXT NOT NULL,
+  player TEXT NOT NULL,
+  alias TEXT NOT NULL,
+  format TEXT NOT NULL,
+  opponent TEXT NOT NULL,
+  result REAL NOT NULL,
+  rating_before REAL NOT NULL,
+  rating_after REAL NOT NULL,
+  played_at TEXT NOT NULL,
+  PRIMARY KEY (battle_id, player)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_player ON player_rating_history(player, format, played_at);
+CREATE INDEX IF NOT EXISTS idx_rating_history_played ON player_rating_history(format, played_at);
+
+-- Fusiones: clave de alias → clave del jugador al que pertenece
+CREATE TABLE IF NOT EXISTS player_aliases (
+  alias TEXT PRIMARY KEY,
+  player TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
@@ -0,0 +1,16 @@
+-- Historial de revisiones de escenarios, amenazas, funciones, tipos de hex,
+-- posts y FAQs (GET /api/<entidad>/:id/revisions).
+-- Cada fila es la versión anterior a un UPDATE o DELETE, copiada como JSON.
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/create-revisions-table.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+
+CREATE TABLE IF NOT EXISTS revisions (
+  entity TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  rev INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  snapshot TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (entity, entity_id, rev)
+);
@@ -0,0 +1,46 @@
+-- Torneos suizos (/api/tournaments): evento, inscripciones y emparejamientos.
+-- `status`: registration → in_progress (al emparejar la ronda 1) → finished.
+-- `player` es la clave normalizada del alias (la misma que el leaderboard);
+-- `list_id` queda bloqueado en cuanto empieza el torneo.
+-- En `tournament_matches`, `player2` NULL es un bye y `reported_at` NULL una
+-- mesa pendiente; `winner` sigue a battle_reports (1, 2 o NULL = empate).
+-- Ejecutar con:
+--   npx wrangler d1 execute <DB_NAME> --remote --file scripts/create-tournaments-tables.sql
+-- (Sustituir <DB_NAME> por el nombre del binding definido en wrangler.jsonc).
+
+CREATE TABLE IF NOT EXISTS tournaments (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'registration',
+  rounds INTEGER,
+  budget INTEGER,
+  current_round INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournaments_created ON tournaments(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS tournament_players (
+  tournament_id TEXT NOT NULL,
+  player TEXT NOT NULL,
+  alias TEXT NOT NULL,
+  list_id TEXT NOT NULL,
+  dropped_round INTEGER,
+  registered_at TEXT NOT NULL,
+  PRIMARY KEY (tournament_id, player)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournament_players_list ON tournament_players(list_id);
+
+CREATE TABLE IF NOT EXISTS tournament_matches (
+  tournament_id TEXT NOT NULL,
+  round INTEGER NOT NULL,
+  table_no INTEGER NOT NULL,
+  player1 TEXT NOT NULL,
+  player2 TEXT,
+  winner INTEGER,
+  battle_id TEXT,
+  reported_at TEXT,
+  PRIMARY KEY (tournament_id, round, table_no)
+);
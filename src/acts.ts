@@ -0,0 +1,113 @@
+/** Estructura de la campaña: actos (`acts`) y, dentro de cada uno, sus
+ *  escenarios en orden (`scenarios.act_id` / `act_position`).
+ *
+ *  La estructura manda: `numeroEscenario` y `acto` dentro de `data` son una
+ *  copia que `renumberStatements` reescribe tras cada cambio (numeración
+ *  corrida de 1 a N recorriendo los actos en orden). Un escenario fuera de
+ *  todo acto no tiene número. Los borradores también cuentan (publicar o
+ *  despublicar no mueve los números de los demás): solo se ocultan en las
+ *  vistas públicas. Así el PDF de escenarios y el seguimiento de campaña
+ *  leen lo mismo y la numeración no puede repetirse. */
+
+import { isScenarioPublic } from './scenario-publishing';
+
+export interface ActNode {
+  id: string;
+  title: string;
+  description: string | null;
+  position: number;
+  scenarios: { id: string; title: string; position: number; numero: number; published: boolean }[];
+}
+
+export interface ActTree {
+  acts: ActNode[];
+  /** Escenarios sin acto (pruebas, borradores). */
+  unassigned: { id: string; title: string; published: boolean }[];
+}
+
+/** Con `includeDrafts` a false (la vista pública) los borradores no
+ *  aparecen, pero siguen contando: la numeración es la misma en ambos
+ *  casos. */
+export async function loadActTree(db: D1Database, includeDrafts = true): Promise<ActTree> {
+  const [acts, scenarios] = await db.batch([
+    db.prepare('SELECT id, title, description, position FROM acts ORDER BY position ASC, created_at ASC'),
+    db.prepare(
+      `SELECT s.id, s.title, s.act_id, s.act_position, s.published, s.publish_at
+       FROM scenarios s LEFT JOIN acts a ON a.id = s.act_id
+       ORDER BY a.position ASC, s.act_position ASC, s.title ASC`
+    ),
+  ]);
+  const nodes = (acts.results as Omit<ActNode, 'scenarios'>[]).map(a => ({ ...a, scenarios: [] as ActNode['scenarios'] }));
+  const byId = new Map(nodes.map(a => [a.id, a]));
+  const unassigned: ActTree['unassigned'] = [];
+  const now = new Date().toISOString();
+  let numero = 0;
+  // La consulta ya viene en orden de acto: el número es el orden de llegada
+  for (const s of scenarios.results as { id: string; title: string; act_id: string | null; act_position: number; published: number; publish_at: string | null }[]) {
+    const act = s.act_id ? byId.get(s.act_id) : undefined;
+    const published = isScenarioPublic(s, now);
+    const n = act ? ++numero : 0;
+    if (!published && !includeDrafts) continue;
+    if (act) act.scenarios.push({ id: s.id, title: s.title, position: s.act_position, numero: n, published });
+    else unassigned.push({ id: s.id, title: s.title, published });
+  }
+  return { acts: nodes, unassigned };
+}
+
+/** Coloca los escenarios de `ids` en el acto `actId`, en ese orden. */
+export function placeScenariosStatement(db: D1Database, actId: string, ids: string[]): D1PreparedStatement {
+  return db.prepare(
+    `UPDATE scenarios SET act_id = ?, act_position = p.key + 1
+     FROM json_each(?) p WHERE scenarios.id = p.value`
+  ).bind(actId, JSON.stringify(ids));
+}
+
+/** Compacta posiciones (1..n por acto) y reescribe `numeroEscenario` y
+ *  `acto` en `data` a partir de la estructura. Va siempre al final del batch
+ *  que cambia la estructura. */
+export function renumberStatements(db: D1Database): D1PreparedStatement[] {
+  return [
+    db.prepare(
+      `UPDATE scenarios
+       SET act_position = o.pos,
+           data = json_set(data, '$.numeroEscenario', o.numero, '$.acto', o.title)
+       FROM (
+         SELECT s.id, a.title,
+                ROW_NUMBER() OVER (PARTITION BY s.act_id ORDER BY s.act_position, s.id) AS pos,
+                ROW_NUMBER() OVER (ORDER BY a.position, a.created_at, s.act_position, s.id) AS numero
+         FROM scenarios s JOIN acts a ON a.id = s.act_id
+       ) o
+       WHERE scenarios.id = o.id`
+    ),
+    db.prepare(
+      `UPDATE scenarios SET act_id = NULL, act_position = NULL, data = json_set(data, '$.numeroEscenario', NULL)
+       WHERE act_id IS NULL OR act_id NOT IN (SELECT id FROM acts)`
+    ),
+    db.prepare(
+      `UPDATE acts SET position = o.pos
+       FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY position, created_at) AS pos FROM acts) o
+       WHERE acts.id = o.id`
+    ),
+  ];
+}
+
+/** Ids de los escenarios de un acto, en orden. */
+export async function actScenarioIds(db: D1Database, actId: string): Promise<string[]> {
+  const rows = await db.prepare('SELECT id FROM scenarios WHERE act_id = ? ORDER BY act_position ASC, id ASC')
+    .bind(actId).all<{ id: string }>();
+  return rows.results.map(r => r.id);
+}
+
+/** Sentencias para mover un escenario al acto `actId` en la posición
+ *  `position` (1-based; por defecto al final), o sacarlo de la estructura
+ *  con `actId` null. Incluyen la renumeración. */
+export async function moveScenarioStatements(
+  db: D1Database, scenarioId: string, actId: string | null, position?: number,
+): Promise<D1PreparedStatement[]> {
+  const detach = db.prepare('UPDATE scenarios SET act_id = NULL, act_position = NULL WHERE id = ?').bind(scenarioId);
+  if (!actId) return [detach, ...renumberStatements(db)];
+  const ids = (await actScenarioIds(db, actId)).filter(id => id !== scenarioId);
+  const at = position === undefined ? ids.length : Math.min(Math.max(position - 1, 0), ids.length);
+  ids.splice(at, 0, scenarioId);
+  return [detach, placeScenariosStatement(db, actId, ids), ...renumberStatements(db)];
+}
@@ -0,0 +1,91 @@
+/** Eventos de partida en su propia tabla (`battle_events`), una fila por
+ *  evento. Sustituye al blob `battle_reports.events`, que obligaba a leer,
+ *  parsear y reescribir el array completo en cada append. */
+
+export interface BattleEvent {
+  turn: number;
+  phase: string;
+  kind: string;
+  payload: Record<string, unknown>;
+}
+
+/** Evento tal y como sale de la tabla, con su número de secuencia (0-based). */
+export interface StoredBattleEvent extends BattleEvent {
+  seq: number;
+}
+
+interface BattleEventRow {
+  seq: number;
+  turn: number;
+  phase: string;
+  kind: string;
+  payload: string;
+}
+
+function fromRow(r: BattleEventRow): StoredBattleEvent {
+  let payload: Record<string, unknown>;
+  try { payload = JSON.parse(r.payload) ?? {}; } catch { payload = {}; }
+  return { seq: r.seq, turn: r.turn, phase: r.phase, kind: r.kind, payload };
+}
+
+/** Comprueba la forma mínima de un evento entrante (lo único obligatorio es
+ *  `kind`, que es NOT NULL en la tabla). */
+export function isBattleEvent(ev: unknown): ev is BattleEvent {
+  return !!ev && typeof ev === 'object' && typeof (ev as { kind?: unknown }).kind === 'string';
+}
+
+/** Eventos de una partida con `seq >= since`, en orden. Sin `limit`, todos. */
+export async function loadBattleEvents(
+  db: D1Database, battleId: string, since = 0, limit?: number,
+): Promise<StoredBattleEvent[]> {
+  const rows = await db.prepare(
+    `SELECT seq, turn, phase, kind, payload FROM battle_events
+     WHERE battle_id = ? AND seq >= ? ORDER BY seq ASC
+     ${limit !== undefined ? 'LIMIT ?' : ''}`
+  ).bind(battleId, since, ...(limit !== undefined ? [limit] : [])).all<BattleEventRow>();
+  return rows.results.map(fromRow);
+}
+
+/** Nº de eventos guardados de una partida (= siguiente `seq`). */
+export async function countBattleEvents(db: D1Database, battleId: string): Promise<number> {
+  const row = await db.prepare(
+    'SELECT COUNT(*) AS n FROM battle_events WHERE battle_id = ?'
+  ).bind(battleId).first<{ n: number }>();
+  return row?.n ?? 0;
+}
+
+/** Sentencias INSERT para añadir `events` al final del log.
+ *
+ *  Con `from` (nº de eventos que el cliente espera que haya), cada evento va
+ *  con `seq` explícito = from + i: si otro escritor ya ocupó esa posición, la
+ *  PRIMARY KEY choca y el `db.batch()` entero se deshace.
+ *
+ *  Sin `from`, cada sentencia calcula su `seq` con MAX(seq)+1 dentro de la
+ *  propia sentencia, así que en un batch (transaccional) quedan consecutivas. */
+export function appendBattleEventsStatements(
+  db: D1Database, battleId: string, events: BattleEvent[], from?: number,
+): D1PreparedStatement[] {
+  if (from !== undefined) {
+    const stmt = db.prepare(
+      `INSERT INTO battle_events (battle_id, seq, turn, phase, kind, payload)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    );
+    return events.map((ev, i) => stmt.bind(
+      battleId, from + i, ev.turn ?? null, ev.phase ?? null, ev.kind,
+      JSON.stringify(ev.payload ?? {}),
+    ));
+  }
+  const stmt = db.prepare(
+    `INSERT INTO battle_events (battle_id, seq, turn, phase, kind, payload)
+     SELECT ?, COALESCE(MAX(seq), -1) + 1, ?, ?, ?, ? FROM battle_events WHERE battle_id = ?`
+  );
+  return events.map(ev => stmt.bind(
+    battleId, ev.turn ?? null, ev.phase ?? null, ev.kind,
+    JSON.stringify(ev.payload ?? {}), battleId,
+  ));
+}
+
+/** Valida la precondición opcional `expectedCount` de un body. */
+export function isExpectedCount(v: unknown): v is number | undefined {
+  return v === undefined || (Number.isInteger(v) && (v as number) >= 0);
+}
@@ -0,0 +1,132 @@
+import { DurableObject } from 'cloudflare:workers';
+import { loadBattleEvents, type StoredBattleEvent } from './battle-events';
+
+/** Canal en vivo de una partida: un Durable Object por battle id
+ *  (`idFromName`). Los espectadores se conectan por WebSocket y el worker
+ *  le empuja por RPC cada lote aceptado, los rewinds y el cierre.
+ *
+ *  Usa la API de hibernación (`ctx.acceptWebSocket`): con la partida parada
+ *  el objeto se duerme sin cerrar los sockets. */
+
+interface LiveEnv {
+  DB: D1Database;
+}
+
+export type LiveMessage =
+  | { type: 'events'; from: number; events: StoredBattleEvent[] }
+  | { type: 'rewind'; count: number }
+  | { type: 'finished'; winner: number | null; finalState: unknown };
+
+export class BattleLive extends DurableObject<LiveEnv> {
+  /** Sockets recién conectados que aún esperan su snapshot. Lo que llegue
+   *  mientras se lee D1 se encola aquí y se filtra por `seq` al terminar. */
+  private pending = new Map<WebSocket, LiveMessage[]>();
+
+  constructor(ctx: DurableObjectState, env: LiveEnv) {
+    super(ctx, env);
+    ctx.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+  }
+
+  async fetch(request: Request): Promise<Response> {
+    const battleId = new URL(request.url).searchParams.get('battle');
+    if (request.headers.get('Upgrade') !== 'websocket' || !battleId) {
+      return new Response('Expected WebSocket upgrade', { status: 426 });
+    }
+    const { 0: client, 1: server } = new WebSocketPair();
+    this.ctx.acceptWebSocket(server);
+    this.pending.set(server, []);
+    void this.catchUp(server, battleId);
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  /** Snapshot inicial + log completo para quien entra tarde. */
+  private async catchUp(ws: WebSocket, battleId: string): Promise<void> {
+    try {
+      const row = await this.env.DB.prepare(
+        'SELECT status, winner, initial_snapshot, final_state FROM battle_reports WHERE id = ?'
+      ).bind(battleId).first<{ status: string; winner: number | null; initial_snapshot: string; final_state: string | null }>();
+      if (!row) {
+        ws.close(1008, 'Battle not found');
+        return;
+      }
+      const events = await loadBattleEvents(this.env.DB, battleId);
+      ws.send(JSON.stringify({
+        type: 'snapshot',
+        status: row.status,
+        winner: row.winner,
+        initialSnapshot: JSON.parse(row.initial_snapshot),
+        finalState: row.final_state ? JSON.parse(row.final_state) : null,
+        count: events.length,
+        events,
+      }));
+      let finished = row.status === 'finished';
+      for (const msg of this.pending.get(ws) ?? []) {
+        if (msg.type === 'events') {
+          const fresh = msg.events.filter(e => e.seq >= events.length);
+          if (!fresh.length) continue;
+          ws.send(JSON.stringify({ ...msg, from: fresh[0].seq, events: fresh }));
+        } else {
+          ws.send(JSON.stringify(msg));
+          if (msg.type === 'finished') finished = true;
+        }
+      }
+      if (finished) ws.close(1000, 'finished');
+    } catch (e) {
+      console.error('[live] Fallo en el catch-up:', e instanceof Error ? e.message : e);
+      try { ws.close(1011, 'catch-up failed'); } catch { /* ya cerrado */ }
+    } finally {
+      this.pending.delete(ws);
+    }
+  }
+
+  /** RPC desde el worker: reenvía el mensaje a todos los espectadores. */
+  async broadcast(msg: LiveMessage): Promise<void> {
+    const data = JSON.stringify(msg);
+    for (const ws of this.ctx.getWebSockets()) {
+      const queue = this.pending.get(ws);
+      if (queue) { queue.push(msg); continue; }
+      try {
+        ws.send(data);
+        if (msg.type === 'finished') ws.close(1000, 'finished');
+      } catch { /* socket cerrándose */ }
+    }
+  }
+
+  async webSocketMessage(): Promise<void> {
+    // Canal de solo lectura: los espectadores no envían nada (salvo el
+    // ping, que responde setWebSocketAutoResponse sin despertar al objeto)
+  }
+
+  async webSocketClose(ws: WebSocket, code: number, reason: string): Promise<void> {
+    try { ws.close(code, reason); } catch { /* ya cerrado */ }
+  }
+}
+
+/** Vida de un ticket de espectador. Solo tiene que durar lo que tarda el
+ *  navegador en abrir el WebSocket. */
+export const LIVE_TICKET_SECONDS = 60;
+
+function hmacKey(secret: string, usage: 'sign' | 'verify'): Promise<CryptoKey> {
+  return crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [usage],
+  );
+}
+
+const toHex = (buf: ArrayBuffer) => [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+/** Ticket `<expira>.<hmac>` para `?ticket=` en GET /api/battles/:id/live:
+ *  el navegador no deja poner cabeceras en un WebSocket y la contraseña de
+ *  admin no debe acabar en la URL (logs, historial). HMAC-SHA256 de
+ *  `battleId:expira` con `secret` (ADMIN_PASSWORD). */
+export async function signLiveTicket(secret: string, battleId: string, now = Date.now()) {
+  const expires = Math.floor(now / 1000) + LIVE_TICKET_SECONDS;
+  const mac = await crypto.subtle.sign('HMAC', await hmacKey(secret, 'sign'), new TextEncoder().encode(`${battleId}:${expires}`));
+  return { ticket: `${expires}.${toHex(mac)}`, expiresAt: new Date(expires * 1000).toISOString() };
+}
+
+export async function verifyLiveTicket(secret: string, battleId: string, ticket: string, now = Date.now()): Promise<boolean> {
+  const m = ticket.match(/^(\d{1,12})\.([0-9a-f]{64})$/);
+  if (!m || Number(m[1]) * 1000 < now) return false;
+  const mac = new Uint8Array(m[2].match(/../g)!.map(h => parseInt(h, 16)));
+  return crypto.subtle.verify('HMAC', await hmacKey(secret, 'verify'), mac, new TextEncoder().encode(`${battleId}:${m[1]}`));
+}
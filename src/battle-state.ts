@@ -0,0 +1,202 @@
+import type { BattleEvent } from './battle-events';
+
+/** Reglas de aplicación de eventos sobre el `initial_snapshot` de una
+ *  partida. Es la única fuente de verdad del servidor sobre qué significa
+ *  cada `kind`: la usan /state, las estadísticas y cualquier exportación.
+ *
+ *  El simulador no es estricto con los nombres de campo del payload (según
+ *  la versión usa `targetId`, `target` o `botId`), así que aquí se aceptan
+ *  las variantes conocidas. Un `kind` sin regla no rompe nada: se ignora y
+ *  se informa en `ignoredKinds`. */
+
+export const EVENT_KINDS = {
+  roundEnded: 'round_ended',
+  destroyed: 'destroyed',
+  attackHit: 'attack_hit',
+  bugAdded: 'bug_added',
+  bugRemoved: 'bug_removed',
+  moved: 'moved',
+  energyChanged: 'energy_changed',
+  energySpent: 'energy_spent',
+  healed: 'healed',
+} as const;
+
+export interface HexPos {
+  q: number;
+  r: number;
+}
+
+export interface BotState {
+  id: string;
+  team: number | null;
+  hp: number | null;
+  energy: number | null;
+  position: HexPos | null;
+  bugs: string[];
+  destroyed: boolean;
+}
+
+export interface BattleState {
+  /** Nº de eventos aplicados. */
+  at: number;
+  turn: number | null;
+  phase: string | null;
+  /** Rondas completadas (nº de `round_ended`). */
+  round: number;
+  bots: BotState[];
+  ignoredKinds: string[];
+}
+
+/** Qué hace un evento, ya normalizado. */
+export type EventEffect =
+  | { type: 'round_end' }
+  | { type: 'damage'; botId: string | null; attackerId: string | null; fn: string | null; amount: number }
+  | { type: 'destroyed'; botId: string | null; attackerId: string | null; fn: string | null }
+  | { type: 'bug'; botId: string | null; bug: string; added: boolean }
+  | { type: 'move'; botId: string | null; position: HexPos }
+  | { type: 'energy'; botId: string | null; value: number | null; delta: number }
+  | { type: 'heal'; botId: string | null; amount: number }
+  | { type: 'none' };
+
+function num(...candidates: unknown[]): number | null {
+  for (const c of candidates) if (typeof c === 'number' && Number.isFinite(c)) return c;
+  return null;
+}
+
+function str(...candidates: unknown[]): string | null {
+  for (const c of candidates) {
+    if (typeof c === 'string' && c) return c;
+    if (typeof c === 'number') return String(c);
+  }
+  return null;
+}
+
+function pos(v: unknown): HexPos | null {
+  if (!v || typeof v !== 'object') return null;
+  const { q, r } = v as { q?: unknown; r?: unknown };
+  return typeof q === 'number' && typeof r === 'number' ? { q, r } : null;
+}
+
+/** Clasifica un evento sin tocar ningún estado. */
+export function describeEvent(ev: Pick<BattleEvent, 'kind' | 'payload'>): EventEffect {
+  const p = ev.payload ?? {};
+  const target = str(p['targetId'], p['target'], p['botId']);
+  const attacker = str(p['attackerId'], p['attacker'], p['sourceId']);
+  const fn = str(p['function'], p['functionName'], p['funcName'], p['func_name']);
+  switch (ev.kind) {
+    case EVENT_KINDS.roundEnded:
+      return { type: 'round_end' };
+    case EVENT_KINDS.attackHit: {
+      const amount = num(p['damage']) ?? 0;
+      return amount > 0 ? { type: 'damage', botId: target, attackerId: attacker, fn, amount } : { type: 'none' };
+    }
+    case EVENT_KINDS.destroyed:
+      return { type: 'destroyed', botId: str(p['botId'], p['targetId'], p['target']), attackerId: attacker, fn };
+    case EVENT_KINDS.bugAdded:
+    case EVENT_KINDS.bugRemoved:
+      return {
+        type: 'bug',
+        botId: str(p['botId'], p['targetId'], p['target']),
+        bug: str(p['bug'], p['bugId'], p['name']) ?? 'BUG',
+        added: ev.kind === EVENT_KINDS.bugAdded,
+      };
+    case EVENT_KINDS.moved: {
+      const to = pos(p['to']) ?? pos(p['position']) ?? pos(p);
+      return to ? { type: 'move', botId: str(p['botId']), position: to } : { type: 'none' };
+    }
+    case EVENT_KINDS.energyChanged:
+    case EVENT_KINDS.energySpent: {
+      const delta = num(p['delta'], p['amount']) ?? 0;
+      return {
+        type: 'energy',
+        botId: str(p['botId']),
+        value: num(p['energy']),
+        delta: ev.kind === EVENT_KINDS.energySpent ? -Math.abs(delta) : delta,
+      };
+    }
+    case EVENT_KINDS.healed: {
+      const amount = num(p['amount'], p['hp']) ?? 0;
+      return amount > 0 ? { type: 'heal', botId: str(p['botId'], p['targetId']), amount } : { type: 'none' };
+    }
+    default:
+      return { type: 'none' };
+  }
+}
+
+/** Estado de partida a partir del `initial_snapshot` (antes de ningún evento). */
+export function initialState(snapshot: unknown): BattleState {
+  const bots = (snapshot as { bots?: unknown[] } | null)?.bots;
+  return {
+    at: 0,
+    turn: null,
+    phase: null,
+    round: 0,
+    bots: (Array.isArray(bots) ? bots : []).map((raw, i) => {
+      const b = (raw ?? {}) as Record<string, unknown>;
+      const stats = (b['stats'] ?? {}) as Record<string, unknown>;
+      const bugs = b['bugs'];
+      return {
+        id: str(b['id'], b['name']) ?? `bot${i + 1}`,
+        team: num(b['team'], b['player'], b['owner']),
+        hp: num(b['hp'], b['life'], stats['life'], b['MAX_LIFE']),
+        energy: num(b['energy'], stats['energy'], b['MAX_ENERGY']),
+        position: pos(b['position']) ?? pos(b),
+        bugs: Array.isArray(bugs) ? bugs.map(x => String(x)) : [],
+        destroyed: b['destroyed'] === true,
+      };
+    }),
+    ignoredKinds: [],
+  };
+}
+
+/** Aplica un evento sobre `state` (lo muta) y devuelve su efecto. */
+export function applyEvent(state: BattleState, ev: BattleEvent): EventEffect {
+  const effect = describeEvent(ev);
+  state.at++;
+  if (typeof ev.turn === 'number') state.turn = ev.turn;
+  if (ev.phase) state.phase = ev.phase;
+  const bot = 'botId' in effect ? state.bots.find(b => b.id === effect.botId) : undefined;
+  switch (effect.type) {
+    case 'round_end':
+      state.round++;
+      break;
+    case 'damage':
+      if (bot && bot.hp !== null) bot.hp = Math.max(0, bot.hp - effect.amount);
+      break;
+    case 'destroyed':
+      if (bot) { bot.destroyed = true; bot.hp = 0; }
+      break;
+    case 'bug':
+      if (bot) {
+        if (effect.added) bot.bugs.push(effect.bug);
+        else {
+          // Quitar un bug que no tiene no debe llevarse otro
+          const i = bot.bugs.indexOf(effect.bug);
+          if (i >= 0) bot.bugs.splice(i, 1);
+        }
+      }
+      break;
+    case 'move':
+      if (bot) bot.position = effect.position;
+      break;
+    case 'energy':
+      if (bot) bot.energy = effect.value ?? Math.max(0, (bot.energy ?? 0) + effect.delta);
+      break;
+    case 'heal':
+      if (bot && bot.hp !== null) bot.hp += effect.amount;
+      break;
+    case 'none':
+      if (!Object.values<string>(EVENT_KINDS).includes(ev.kind) && !state.ignoredKinds.includes(ev.kind)) {
+        state.ignoredKinds.push(ev.kind);
+      }
+      break;
+  }
+  return effect;
+}
+
+/** Pliega `events` sobre el snapshot y devuelve el estado final. */
+export function foldEvents(snapshot: unknown, events: BattleEvent[]): BattleState {
+  const state = initialState(snapshot);
+  for (const ev of events) applyEvent(state, ev);
+  return state;
+}
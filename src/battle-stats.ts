@@ -0,0 +1,287 @@
+import { type BattleEvent, loadBattleEvents } from './battle-events';
+import { describeEvent } from './battle-state';
+
+/** Estadísticas de balance calculadas a partir de partidas terminadas.
+ *  Todo pasa por `describeEvent`, así que usan las mismas reglas que /state.
+ *
+ *  No se recalculan por petición: al cerrar una partida se guarda su
+ *  contribución (`battle_stats_contrib`) y se suma a los agregados
+ *  (`battle_stats_totals` / `_rounds` / `_functions`); al borrarla o
+ *  recalcularla se resta la contribución guardada. */
+
+/** `powerSmash()`, `powerSmash` y `PowerSmash()` son la misma función. */
+export function normalizeFuncName(name: string): string {
+  return name.trim().replace(/\(\)$/, '').toLowerCase();
+}
+
+/** Funciones que lleva cada bando (1 | 2) según los bots del snapshot.
+ *  El bando sale de `team`/`player`/`owner`; si no viene, la primera mitad
+ *  de los bots es del jugador 1 y la segunda del 2. */
+export function sideFunctions(snapshot: unknown): Map<number, Set<string>> {
+  const bots = (snapshot as { bots?: unknown[] } | null)?.bots;
+  const sides = new Map<number, Set<string>>([[1, new Set()], [2, new Set()]]);
+  if (!Array.isArray(bots)) return sides;
+  bots.forEach((raw, i) => {
+    const b = (raw ?? {}) as Record<string, unknown>;
+    const declared = [b['team'], b['player'], b['owner']].find(v => v === 1 || v === 2) as number | undefined;
+    const side = sides.get(declared ?? (i < bots.length / 2 ? 1 : 2))!;
+    const af = (b['attackFunctions'] ?? {}) as Record<string, unknown>;
+    const names = [af['v1'], af['v2'], af['v3'], b['passiveFunctions'], b['passives']].flat();
+    for (const n of names) if (typeof n === 'string' && n) side.add(normalizeFuncName(n));
+  });
+  return sides;
+}
+
+export interface FunctionAcc {
+  /** Bandos que la llevaban (una vez por bando y partida). */
+  fielded: number;
+  /** De esos, cuántos ganaron. */
+  wins: number;
+  hits: number;
+  damage: number;
+  kills: number;
+}
+
+export function emptyFunctionAcc(): FunctionAcc {
+  return { fielded: 0, wins: 0, hits: 0, damage: 0, kills: 0 };
+}
+
+/** Suma una partida a `acc` (clave = nombre normalizado). Devuelve el nº de
+ *  bajas de la partida, para poder calcular el reparto de kills. Una baja sin
+ *  función en el evento se atribuye al último impacto recibido por ese bot. */
+export function accumulateFunctions(
+  acc: Map<string, FunctionAcc>, snapshot: unknown, winner: number | null,
+  events: Pick<BattleEvent, 'kind' | 'payload'>[],
+): number {
+  const get = (fn: string) => {
+    let a = acc.get(fn);
+    if (!a) { a = emptyFunctionAcc(); acc.set(fn, a); }
+    return a;
+  };
+  for (const [side, fns] of sideFunctions(snapshot)) {
+    for (const fn of fns) {
+      const a = get(fn);
+      a.fielded++;
+      if (winner === side) a.wins++;
+    }
+  }
+  const lastHit = new Map<string, string>();
+  let kills = 0;
+  for (const ev of events) {
+    const effect = describeEvent(ev);
+    if (effect.type === 'damage' && effect.fn) {
+      const fn = normalizeFuncName(effect.fn);
+      const a = get(fn);
+      a.hits++;
+      a.damage += effect.amount;
+      if (effect.botId) lastHit.set(effect.botId, fn);
+    } else if (effect.type === 'destroyed') {
+      kills++;
+      const fn = effect.fn ? normalizeFuncName(effect.fn) : effect.botId ? lastHit.get(effect.botId) : undefined;
+      if (fn) get(fn).kills++;
+    }
+  }
+  return kills;
+}
+
+/** Intervalo de Wilson para una proporción `k / n` (z = 1.96 → 95 %).
+ *  A diferencia del intervalo normal, se comporta bien con n pequeño y con
+ *  proporciones cercanas a 0 o 1 — lo habitual en un escenario recién jugado. */
+export function wilsonInterval(k: number, n: number, z = 1.96): [number, number] | null {
+  if (n <= 0) return null;
+  const p = k / n;
+  const z2 = z * z;
+  const centre = (p + z2 / (2 * n)) / (1 + z2 / n);
+  const half = (z / (1 + z2 / n)) * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n));
+  return [Math.max(0, centre - half), Math.min(1, centre + half)];
+}
+
+export type FormatKey = '1v1' | '2v2';
+
+/** Formato de la partida según el nº de bots del snapshot. */
+export function battleFormat(snapshot: unknown): FormatKey {
+  const bots = (snapshot as { bots?: unknown[] } | null)?.bots;
+  return (Array.isArray(bots) ? bots.length : 2) <= 2 ? '1v1' : '2v2';
+}
+
+/** Lo que aporta una partida a las estadísticas por ronda (índice = ronda - 1). */
+export interface RoundAcc {
+  deaths: number;
+  firstDeaths: number;
+  damageSum: number;
+  damageCount: number;
+  bugsAdded: number;
+}
+
+export interface BattleContribution {
+  mode: string;
+  format: FormatKey;
+  scenarioId: string | null;
+  winner: number | null;
+  /** Rondas completadas (nº de `round_ended`). */
+  rounds: number;
+  kills: number;
+  byRound: RoundAcc[];
+  functions: Record<string, FunctionAcc>;
+}
+
+/** Contribución de una partida terminada. Sin tope de rondas: los arrays
+ *  crecen hasta la última ronda con actividad. */
+export function battleContribution(
+  battle: { mode: string; scenarioId: string | null; winner: number | null },
+  snapshot: unknown, events: BattleEvent[],
+): BattleContribution {
+  const byRound: RoundAcc[] = [];
+  const at = (r: number) => {
+    while (byRound.length < r) byRound.push({ deaths: 0, firstDeaths: 0, damageSum: 0, damageCount: 0, bugsAdded: 0 });
+    return byRound[r - 1];
+  };
+  let rounds = 0;
+  let firstDeath: number | null = null;
+  for (const ev of events) {
+    const effect = describeEvent(ev);
+    if (effect.type === 'round_end') rounds++;
+    if (ev.phase !== 'run' || typeof ev.turn !== 'number' || ev.turn < 1) continue;
+    const r = ev.turn;
+    if (effect.type === 'destroyed') {
+      at(r).deaths++;
+      if (firstDeath === null || r < firstDeath) firstDeath = r;
+    } else if (effect.type === 'damage') {
+      at(r).damageSum += effect.amount;
+      at(r).damageCount++;
+    } else if (effect.type === 'bug' && effect.added) {
+      at(r).bugsAdded++;
+    }
+  }
+  if (firstDeath !== null) at(firstDeath).firstDeaths++;
+  const functions = new Map<string, FunctionAcc>();
+  const kills = accumulateFunctions(functions, snapshot, battle.winner, events);
+  return {
+    ...battle,
+    format: battleFormat(snapshot),
+    rounds,
+    kills,
+    byRound,
+    functions: Object.fromEntries(functions),
+  };
+}
+
+/** Condición que repiten todas las sentencias de un `syncBattleStats`: la
+ *  contribución guardada sigue en la versión que se leyó (NULL = no había).
+ *  Si otro sync escribió entre medias no se aplica nada y se vuelve a leer. */
+interface ContribGuard {
+  battleId: string;
+  version: string | null;
+}
+
+const GUARD_SQL = '(SELECT version FROM battle_stats_contrib WHERE battle_id = ?) IS ?';
+
+/** UPSERTs que suman (`sign` = 1) o restan (-1) una contribución. */
+function aggregateStatements(
+  db: D1Database, c: BattleContribution, sign: 1 | -1, guard: ContribGuard,
+): D1PreparedStatement[] {
+  const g = [guard.battleId, guard.version];
+  const stmts = [db.prepare(
+    `INSERT INTO battle_stats_totals (mode, format, games, total_rounds, win_p1, win_p2, draw, kills)
+     SELECT ?, ?, ?, ?, ?, ?, ?, ? WHERE ${GUARD_SQL}
+     ON CONFLICT (mode, format) DO UPDATE SET
+       games = games + excluded.games, total_rounds = total_rounds + excluded.total_rounds,
+       win_p1 = win_p1 + excluded.win_p1, win_p2 = win_p2 + excluded.win_p2,
+       draw = draw + excluded.draw, kills = kills + excluded.kills`
+  ).bind(
+    c.mode, c.format, sign, sign * c.rounds,
+    c.winner === 1 ? sign : 0, c.winner === 2 ? sign : 0, c.winner !== 1 && c.winner !== 2 ? sign : 0,
+    sign * c.kills, ...g,
+  )];
+  const roundStmt = db.prepare(
+    `INSERT INTO battle_stats_rounds
+       (mode, format, round, ended, deaths, first_deaths, damage_sum, damage_count, bugs_added)
+     SELECT ?, ?, ?, ?, ?, ?, ?, ?, ? WHERE ${GUARD_SQL}
+     ON CONFLICT (mode, format, round) DO UPDATE SET
+       ended = ended + excluded.ended, deaths = deaths + excluded.deaths,
+       first_deaths = first_deaths + excluded.first_deaths,
+       damage_sum = damage_sum + excluded.damage_sum, damage_count = damage_count + excluded.damage_count,
+       bugs_added = bugs_added + excluded.bugs_added`
+  );
+  for (let r = 1; r <= Math.max(c.rounds, c.byRound.length); r++) {
+    const a = c.byRound[r - 1] ?? { deaths: 0, firstDeaths: 0, damageSum: 0, damageCount: 0, bugsAdded: 0 };
+    stmts.push(roundStmt.bind(
+      c.mode, c.format, r, c.rounds === r ? sign : 0,
+      sign * a.deaths, sign * a.firstDeaths, sign * a.damageSum, sign * a.damageCount, sign * a.bugsAdded, ...g,
+    ));
+  }
+  const fnStmt = db.prepare(
+    `INSERT INTO battle_stats_functions (mode, format, func, fielded, wins, hits, damage, kills)
+     SELECT ?, ?, ?, ?, ?, ?, ?, ? WHERE ${GUARD_SQL}
+     ON CONFLICT (mode, format, func) DO UPDATE SET
+       fielded = fielded + excluded.fielded, wins = wins + excluded.wins, hits = hits + excluded.hits,
+       damage = damage + excluded.damage, kills = kills + excluded.kills`
+  );
+  for (const [fn, a] of Object.entries(c.functions)) {
+    stmts.push(fnStmt.bind(
+      c.mode, c.format, fn, sign * a.fielded, sign * a.wins, sign * a.hits, sign * a.damage, sign * a.kills, ...g,
+    ));
+  }
+  return stmts;
+}
+
+/** Intentos de `syncBattleStats` cuando otro sync de la misma partida se
+ *  cuela entre la lectura y el batch. */
+const SYNC_ATTEMPTS = 3;
+
+/** Pone al día la contribución de una partida: resta la guardada (si la hay)
+ *  y, si la partida existe, está terminada y no es de debug, suma la nueva.
+ *  Sirve igual para /finish, para el borrado, para los cambios en el log de
+ *  una partida ya terminada y para la reconstrucción.
+ *
+ *  Todo el batch depende de que la contribución guardada no haya cambiado
+ *  desde que se leyó (columna `version`, un UUID nuevo en cada escritura
+ *  para que borrar y volver a insertar no la repita): dos syncs a la vez no
+ *  pueden restar ni sumar dos veces; el que pierde vuelve a empezar. */
+export async function syncBattleStats(db: D1Database, battleId: string): Promise<void> {
+  for (let attempt = 0; attempt < SYNC_ATTEMPTS; attempt++) {
+    if (await trySyncBattleStats(db, battleId)) return;
+  }
+  throw new Error(`battle ${battleId}: contribution changed concurrently ${SYNC_ATTEMPTS} times`);
+}
+
+/** Un intento; false si la contribución cambió por el camino. */
+async function trySyncBattleStats(db: D1Database, battleId: string): Promise<boolean> {
+  const prev = await db.prepare('SELECT data, version FROM battle_stats_contrib WHERE battle_id = ?')
+    .bind(battleId).first<{ data: string; version: string | null }>();
+  const battle = await db.prepare(
+    `SELECT status, COALESCE(mode, 'pvp') AS mode, scenario_id, winner, initial_snapshot, is_debug
+     FROM battle_reports WHERE id = ?`
+  ).bind(battleId).first<{ status: string; mode: string; scenario_id: string | null; winner: number | null; initial_snapshot: string; is_debug: number }>();
+  const guard: ContribGuard = { battleId, version: prev?.version ?? null };
+  const stmts: D1PreparedStatement[] = [];
+  if (prev) stmts.push(...aggregateStatements(db, JSON.parse(prev.data) as BattleContribution, -1, guard));
+  if (battle?.status === 'finished' && !battle.is_debug) {
+    const events = await loadBattleEvents(db, battleId);
+    let snapshot: unknown;
+    try { snapshot = JSON.parse(battle.initial_snapshot); } catch { snapshot = null; }
+    const c = battleContribution(
+      { mode: battle.mode, scenarioId: battle.scenario_id, winner: battle.winner }, snapshot, events,
+    );
+    // La fila de la contribución va la última: hasta aquí todas las
+    // sentencias han visto la versión leída
+    stmts.push(
+      ...aggregateStatements(db, c, 1, guard),
+      db.prepare(
+        `INSERT INTO battle_stats_contrib (battle_id, mode, format, scenario_id, winner, rounds, data, version)
+         SELECT ?, ?, ?, ?, ?, ?, ?, ? WHERE ${GUARD_SQL}
+         ON CONFLICT (battle_id) DO UPDATE SET
+           mode = excluded.mode, format = excluded.format, scenario_id = excluded.scenario_id,
+           winner = excluded.winner, rounds = excluded.rounds, data = excluded.data, version = excluded.version`
+      ).bind(
+        battleId, c.mode, c.format, c.scenarioId, c.winner, c.rounds, JSON.stringify(c), crypto.randomUUID(),
+        battleId, guard.version,
+      ),
+    );
+  } else if (prev) {
+    stmts.push(db.prepare('DELETE FROM battle_stats_contrib WHERE battle_id = ? AND version IS ?').bind(battleId, prev.version));
+  }
+  if (!stmts.length) return true;
+  const results = await db.batch(stmts);
+  return results[results.length - 1].meta.changes > 0;
+}
@@ -0,0 +1,67 @@
+import { loadActTree } from './acts';
+
+/** Partidas de campaña (/api/campaigns/runs): el recorrido de un grupo por
+ *  los escenarios, con los ◈ que arrastra y las funciones que ha
+ *  desbloqueado.
+ *
+ *  La campaña es la estructura de actos de `./acts` (la misma que
+ *  GET /api/acts); los escenarios sin acto y los borradores no cuentan. */
+
+export interface CampaignScenario {
+  id: string;
+  title: string;
+  numero: number;
+  act: string;
+}
+
+export interface CampaignAct {
+  act: string;
+  scenarios: CampaignScenario[];
+}
+
+export interface RunRow {
+  id: string;
+  name: string;
+  credits: number;
+  unlocked_functions: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface RunResultRow {
+  seq: number;
+  scenario_id: string;
+  result: 'win' | 'loss' | 'draw';
+  battle_id: string | null;
+  credits_delta: number;
+  credits_after: number;
+  unlocked: string;
+  recorded_at: string;
+}
+
+export const RUN_RESULTS = ['win', 'loss', 'draw'] as const;
+
+/** Escenarios de la campaña en orden y agrupados por acto. */
+export async function loadCampaignStructure(db: D1Database): Promise<CampaignAct[]> {
+  const { acts } = await loadActTree(db, false);
+  return acts
+    .filter(a => a.scenarios.length)
+    .map(a => ({
+      act: a.title,
+      scenarios: a.scenarios.map(s => ({ id: s.id, title: s.title, numero: s.numero, act: a.title })),
+    }));
+}
+
+/** Dónde está una partida: el último escenario jugado y el siguiente (null
+ *  al acabar la campaña). Sin resultados, el siguiente es el primero.
+ *  `played` va en orden de juego; si el último ya no está en la campaña
+ *  (se borró o se sacó de su acto) cuenta el anterior que siga. */
+export function campaignPosition(acts: CampaignAct[], played: string[]): {
+  current: (CampaignScenario & { actIndex: number; indexInAct: number }) | null;
+  next: (CampaignScenario & { actIndex: number; indexInAct: number }) | null;
+} {
+  const flat = acts.flatMap((a, actIndex) => a.scenarios.map((s, indexInAct) => ({ ...s, actIndex, indexInAct })));
+  const last = [...played].reverse().find(id => flat.some(s => s.id === id));
+  const i = last ? flat.findIndex(s => s.id === last) : -1;
+  return { current: i >= 0 ? flat[i] : null, next: flat[i + 1] ?? null };
+}
@@ -0,0 +1,214 @@
+/** SVG del mapa de un escenario (`data.hexMap`) para GET
+ *  /api/scenarios/:id/map.svg: posts, FAQs, embeds de Discord y el PDF usan
+ *  el mismo dibujo que el editor sin pasar por el frontend.
+ *
+ *  Coordenadas axiales (`q`, `r`) como en el editor; geometría de
+ *  https://www.redblobgames.com/grids/hexagons/. */
+
+export interface HexMapSvgOptions {
+  orientation: 'pointy' | 'flat';
+  /** Radio del hex en px (centro → vértice). */
+  size: number;
+  /** `q,r` en cada casilla. */
+  coords: boolean;
+  legend: boolean;
+}
+
+export const HEX_SIZE_DEFAULT = 24;
+export const HEX_SIZE_MIN = 6;
+export const HEX_SIZE_MAX = 80;
+
+interface HexType {
+  id: string;
+  name: string;
+  color: string;
+  borderColor: string;
+}
+
+interface Deployment {
+  q: number;
+  r: number;
+  type: string;
+  label: string;
+  team: number | null;
+}
+
+/** Tipo de hex sin definir (ni embebido ni en `hex_types`). */
+const UNKNOWN_TYPE = { name: '?', color: '#e0e0e0', borderColor: '#9e9e9e' };
+const TEAM_COLORS = ['#e53935', '#1e88e5', '#43a047', '#fb8c00'];
+const FLAG_COLOR = '#fdd835';
+const TREASURE_COLOR = '#ffb300';
+const PADDING = 8;
+
+/** Opciones desde la query (`orientation`, `size`, `coords`, `legend`).
+ *  Devuelve el mensaje de error si alguna no vale. */
+export function parseHexMapSvgOptions(params: URLSearchParams): HexMapSvgOptions | string {
+  const orientation = params.get('orientation') ?? 'pointy';
+  if (orientation !== 'pointy' && orientation !== 'flat') return 'orientation must be pointy or flat';
+  const size = Number(params.get('size') ?? HEX_SIZE_DEFAULT);
+  if (!Number.isFinite(size) || size < HEX_SIZE_MIN || size > HEX_SIZE_MAX) {
+    return `size must be a number between ${HEX_SIZE_MIN} and ${HEX_SIZE_MAX}`;
+  }
+  const flag = (name: string) => ['1', 'true'].includes(params.get(name) ?? '');
+  return { orientation, size, coords: flag('coords'), legend: flag('legend') };
+}
+
+function escapeXml(s: string): string {
+  return s.replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]!);
+}
+
+const round = (n: number) => Math.round(n * 100) / 100;
+
+function center(q: number, r: number, o: HexMapSvgOptions): [number, number] {
+  return o.orientation === 'pointy'
+    ? [o.size * Math.sqrt(3) * (q + r / 2), o.size * 1.5 * r]
+    : [o.size * 1.5 * q, o.size * Math.sqrt(3) * (r + q / 2)];
+}
+
+function corners(x: number, y: number, o: HexMapSvgOptions): string {
+  const offset = o.orientation === 'pointy' ? 30 : 0;
+  return Array.from({ length: 6 }, (_, i) => {
+    const a = (Math.PI / 180) * (60 * i + offset);
+    return `${round(x + o.size * Math.cos(a))},${round(y + o.size * Math.sin(a))}`;
+  }).join(' ');
+}
+
+function teamColor(team: number | null): string {
+  return team && team > 0 ? TEAM_COLORS[(team - 1) % TEAM_COLORS.length] : '#757575';
+}
+
+/** Marcador de despliegue centrado en (x, y): círculo con la etiqueta para
+ *  jugadores, banderín para `flag`, rombo para `treasure`. */
+function marker(dep: { type: string; label: string; team: number | null }, x: number, y: number, size: number): string {
+  const s = size * 0.5;
+  if (dep.type === 'flag') {
+    return `<path d="M${round(x - s * 0.4)},${round(y + s)} V${round(y - s)} L${round(x + s * 0.8)},${round(y - s * 0.5)} L${round(x - s * 0.4)},${round(y)}" `
+      + `fill="${FLAG_COLOR}" stroke="${teamColor(dep.team)}" stroke-width="${round(size / 12)}"/>`;
+  }
+  if (dep.type === 'treasure') {
+    return `<polygon points="${round(x)},${round(y - s)} ${round(x + s)},${round(y)} ${round(x)},${round(y + s)} ${round(x - s)},${round(y)}" `
+      + `fill="${TREASURE_COLOR}" stroke="#5d4037" stroke-width="${round(size / 16)}"/>`;
+  }
+  return `<circle cx="${round(x)}" cy="${round(y)}" r="${round(s * 1.2)}" fill="${teamColor(dep.team)}" stroke="#ffffff" stroke-width="${round(size / 16)}"/>`
+    + `<text x="${round(x)}" y="${round(y)}" font-size="${round(size * 0.45)}" fill="#ffffff" font-weight="bold" `
+    + `text-anchor="middle" dominant-baseline="central">${escapeXml(dep.label)}</text>`;
+}
+
+function str(value: unknown, fallback: string): string {
+  return typeof value === 'string' && value ? value : fallback;
+}
+
+/** Dibuja `hexMap` (objeto o string JSON). `shared` son los tipos de la
+ *  tabla `hex_types`; los embebidos en `hexMap.hexTypes` mandan. null si el
+ *  mapa no tiene casillas. */
+export function hexMapSvg(
+  hexMap: unknown, shared: { id: string; name: string; color: string; border_color: string }[],
+  o: HexMapSvgOptions, title = '',
+): string | null {
+  let m = hexMap;
+  if (typeof m === 'string') {
+    try { m = JSON.parse(m); } catch { return null; }
+  }
+  const map = (m ?? {}) as { hexTypes?: unknown; hexes?: unknown; deployments?: unknown };
+  const hexes = (Array.isArray(map.hexes) ? map.hexes : [])
+    .filter((h): h is { q: number; r: number; typeId?: unknown } => Number.isInteger(h?.q) && Number.isInteger(h?.r));
+  if (!hexes.length) return null;
+
+  const types = new Map<string, HexType>(
+    shared.map(t => [t.id, { id: t.id, name: t.name, color: t.color, borderColor: t.border_color }]),
+  );
+  for (const raw of Array.isArray(map.hexTypes) ? map.hexTypes : []) {
+    const t = (raw ?? {}) as Record<string, unknown>;
+    if (typeof t.id !== 'string') continue;
+    types.set(t.id, {
+      id: t.id,
+      name: str(t.name, t.id),
+      color: str(t.color, UNKNOWN_TYPE.color),
+      borderColor: str(t.borderColor ?? t.border_color, UNKNOWN_TYPE.borderColor),
+    });
+  }
+  const deployments: Deployment[] = (Array.isArray(map.deployments) ? map.deployments : [])
+    .filter(d => Number.isInteger(d?.q) && Number.isInteger(d?.r))
+    .map(d => {
+      // `team` entero (1..numeroJugadores), lo que exige ./scenario-validation
+      const team = Number.isInteger(d.team) ? d.team as number : null;
+      return { q: d.q, r: d.r, type: str(d.type, 'player'), team, label: str(d.label, team ? `P${team}` : '') };
+    });
+
+  // Caja del mapa: centros ± el radio
+  const centers = hexes.map(h => center(h.q, h.r, o));
+  const minX = Math.min(...centers.map(c => c[0])) - o.size - PADDING;
+  const minY = Math.min(...centers.map(c => c[1])) - o.size - PADDING;
+  const mapWidth = Math.max(...centers.map(c => c[0])) + o.size + PADDING - minX;
+  const mapHeight = Math.max(...centers.map(c => c[1])) + o.size + PADDING - minY;
+  const stroke = round(Math.max(o.size / 16, 0.5));
+
+  const body: string[] = [];
+  const used = new Map<string, HexType | typeof UNKNOWN_TYPE>();
+  hexes.forEach((h, i) => {
+    const typeId = typeof h.typeId === 'string' ? h.typeId : '';
+    const type = types.get(typeId) ?? UNKNOWN_TYPE;
+    used.set(typeId, type);
+    const [x, y] = centers[i];
+    body.push(`<polygon points="${corners(x - minX, y - minY, o)}" fill="${escapeXml(type.color)}" `
+      + `stroke="${escapeXml(type.borderColor)}" stroke-width="${stroke}"/>`);
+  });
+  if (o.coords) {
+    hexes.forEach((h, i) => {
+      const [x, y] = centers[i];
+      body.push(`<text x="${round(x - minX)}" y="${round(y - minY + o.size * 0.65)}" font-size="${round(o.size * 0.28)}" `
+        + `fill="#616161" text-anchor="middle">${h.q},${h.r}</text>`);
+    });
+  }
+  // Los marcadores encima de las coordenadas
+  for (const d of deployments) {
+    const [x, y] = center(d.q, d.r, o);
+    body.push(marker(d, x - minX, y - minY, o.size));
+  }
+
+  // Leyenda: tipos usados y tipos de despliegue, una entrada por línea
+  let width = mapWidth;
+  let height = mapHeight;
+  if (o.legend) {
+    const line = Math.max(o.size * 0.8, 14);
+    const font = round(line * 0.6);
+    const entries: { swatch: string; text: string }[] = [];
+    const swatchAt = (y: number) => ({ x: PADDING + line / 2, y: y + line / 2 });
+    let y = mapHeight;
+    for (const t of used.values()) {
+      const c = swatchAt(y);
+      entries.push({
+        swatch: `<rect x="${round(c.x - line * 0.35)}" y="${round(c.y - line * 0.35)}" width="${round(line * 0.7)}" height="${round(line * 0.7)}" `
+          + `fill="${escapeXml(t.color)}" stroke="${escapeXml(t.borderColor)}" stroke-width="${stroke}"/>`,
+        text: t.name,
+      });
+      y += line;
+    }
+    const seen = new Set<string>();
+    for (const d of deployments) {
+      const key = `${d.type}:${d.team ?? ''}:${d.type === 'player' ? d.label : ''}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const c = swatchAt(y);
+      const team = d.team ? ` ${d.team}` : '';
+      entries.push({
+        swatch: marker(d, c.x, c.y, line * 0.8),
+        text: d.type === 'player' ? `Despliegue${team}` : d.type === 'flag' ? `Bandera${team}` : d.type === 'treasure' ? 'Tesoro' : d.type,
+      });
+      y += line;
+    }
+    entries.forEach((e, i) => {
+      const c = swatchAt(mapHeight + i * line);
+      body.push(e.swatch, `<text x="${round(c.x + line)}" y="${round(c.y)}" font-size="${font}" fill="#212121" `
+        + `dominant-baseline="central">${escapeXml(e.text)}</text>`);
+    });
+    height = mapHeight + entries.length * line + PADDING;
+    width = Math.max(mapWidth, PADDING * 2 + line * 10);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" `
+    + `viewBox="0 0 ${round(width)} ${round(height)}" font-family="sans-serif">`
+    + (title ? `<title>${escapeXml(title)}</title>` : '')
+    + body.join('')
+    + '</svg>';
+}
@@ -1,4 +1,43 @@
 import { EmailMessage } from 'cloudflare:email';
+import {
+  type BattleEvent, isBattleEvent, isExpectedCount, loadBattleEvents, countBattleEvents,
+  appendBattleEventsStatements,
+} from './battle-events';
+import { signLiveTicket, verifyLiveTicket, type BattleLive, type LiveMessage } from './battle-live';
+import { foldEvents } from './battle-state';
+import {
+  type FunctionAcc, type FormatKey, normalizeFuncName, emptyFunctionAcc, wilsonInterval, syncBattleStats,
+} from './battle-stats';
+import { recomputeRatings, syncRatings, mergePlayers, resolvePlayer } from './ratings';
+import { DEFAULT_LIST_BUDGET, checkListLegality } from './list-legality';
+import { resolveListId, saveListStatement, dedupeLists } from './list-ids';
+import { loadFunctionStats, listToText, listToMarkdown } from './list-export';
+import { qrSvg } from './qr';
+import { parseHexMapSvgOptions, hexMapSvg } from './hex-map-svg';
+import { listLineage, diffLists } from './list-lineage';
+import { type MetaWindow, metaWindows, metaKey, computeMetaReport, refreshMetaReports } from './meta-report';
+import {
+  type TournamentRow, type MatchRow, loadTournament, computeStandings, pairRound, insertMatchesStatement,
+  registrationTokenHash,
+} from './tournaments';
+import {
+  type RunRow, type RunResultRow, RUN_RESULTS, loadCampaignStructure, campaignPosition,
+} from './campaign-runs';
+import {
+  loadActTree, placeScenariosStatement, renumberStatements, actScenarioIds, moveScenarioStatements,
+} from './acts';
+import { type ScenarioIssue, validateScenarioData } from './scenario-validation';
+import {
+  PREVIEW_DEFAULT_HOURS, PREVIEW_MAX_HOURS, parsePublishAt, publicationState, previewAllowed, publishDueScenarios,
+  isScenarioPublic, PUBLIC_SCENARIO_SQL,
+} from './scenario-publishing';
+import { CATALOG_TABLES, findUsages, replaceStatements } from './usages';
+import {
+  type RevisionEntity, revisionStatement, listRevisions, loadRevision, loadCurrent, diffSnapshots, restoreStatements,
+} from './revisions';
+import { type ReplayFile, buildReplayFile, validateReplayFile, importReplayFile } from './replay-file';
+
+export { BattleLive } from './battle-live';
 
 interface Env {
   ASSETS: R2Bucket;
@@ -11,6 +50,15 @@ interface Env {
   /** Remitente (dirección del dominio de la zona) y destino verificado. */
   CONTACT_EMAIL_FROM?: string;
   CONTACT_EMAIL_TO?: string;
+  /** Durable Object del canal en vivo de espectadores (uno por partida). */
+  BATTLE_LIVE: DurableObjectNamespace<BattleLive>;
+  /** Horas sin actividad tras las que el cron marca una partida `abandoned`. */
+  ABANDON_AFTER_HOURS?: string;
+  /** URL pública de una lista para el QR (`{id}` = id de la lista). Sin
+   *  definir, el QR apunta al roster en texto de esta misma API. */
+  LIST_SHARE_URL?: string;
+  /** Ventanas (días, separadas por comas) del informe de meta. */
+  META_WINDOWS?: string;
 }
 
 interface VersionMeta {
@@ -33,6 +81,13 @@ function generateId(len = 8): string {
 }
 
 const MAX_PAYLOAD = 32_000;
+/** Tope de un .fwreplay importado (listas + escenario + log completo). */
+const MAX_REPLAY_FILE = 5 * 1024 * 1024;
+/** Aviso al guardar un escenario con `numeroEscenario` pero sin acto. */
+const NUMERO_WITHOUT_ACT: ScenarioIssue = {
+  severity: 'warning', code: 'numero_requires_act', path: 'numeroEscenario',
+  message: 'numeroEscenario is ignored outside an act; set actId to number the scenario',
+};
 
 /** Codifica una cabecera en RFC 2047 si lleva caracteres no ASCII.
  *  Sin esto, un alias con tilde (o el asunto) rompe el mensaje. */
@@ -92,12 +147,100 @@ async function sendContactEmail(env: Env, name: string, email: string | null, me
   }
 }
 
+/** Empuja un mensaje al canal en vivo de una partida. Best-effort, como el
+ *  aviso por email: el dato ya está en D1 y un fallo aquí solo se loguea. */
+function broadcastLive(env: Env, ctx: ExecutionContext, battleId: string, msg: LiveMessage): void {
+  const stub = env.BATTLE_LIVE.get(env.BATTLE_LIVE.idFromName(battleId));
+  ctx.waitUntil(stub.broadcast(msg).catch((e: unknown) => {
+    console.error('[live] Fallo al difundir:', e instanceof Error ? e.message : e);
+  }));
+}
+
+/** Recalcula en segundo plano la contribución de una partida a los agregados
+ *  de estadísticas. Si falla, la partida ya está guardada: se loguea y
+ *  POST /api/battles/stats/rebuild lo corrige. */
+function refreshStats(env: Env, ctx: ExecutionContext, battleId: string): void {
+  ctx.waitUntil(syncBattleStats(env.DB, battleId).catch((e: unknown) => {
+    console.error('[stats] Fallo al actualizar agregados:', e instanceof Error ? e.message : e);
+  }));
+}
+
+/** Igual que refreshStats, para los ratings del leaderboard. Si falla,
+ *  POST /api/leaderboard/rebuild lo rehace desde cero. */
+function refreshRatings(env: Env, ctx: ExecutionContext, battleId: string): void {
+  ctx.waitUntil(syncRatings(env.DB, battleId).catch((e: unknown) => {
+    console.error('[ratings] Fallo al actualizar ratings:', e instanceof Error ? e.message : e);
+  }));
+}
+
+const DEFAULT_ABANDON_AFTER_HOURS = 72;
+
+/** Marca como `abandoned` las partidas `in_progress` sin actividad (ni
+ *  eventos, ni rewinds) en ABANDON_AFTER_HOURS. `updated_at` no se toca:
+ *  sigue siendo la última actividad real. Devuelve cuántas. */
+async function abandonStaleBattles(env: Env): Promise<number> {
+  const hours = Number(env.ABANDON_AFTER_HOURS) > 0 ? Number(env.ABANDON_AFTER_HOURS) : DEFAULT_ABANDON_AFTER_HOURS;
+  const cutoff = new Date(Date.now() - hours * 3_600_000).toISOString();
+  const result = await env.DB.prepare(
+    `UPDATE battle_reports SET status = 'abandoned' WHERE status = 'in_progress' AND updated_at < ?`
+  ).bind(cutoff).run();
+  return result.meta.changes;
+}
+
+/** Presupuesto (◈) de `?budget=`, o el de por defecto. Al guardar se pasa
+ *  `max` = DEFAULT_LIST_BUDGET: el cliente puede pedir uno más estricto,
+ *  no colar una lista más cara con `?strict=1`. */
+function listBudget(params: URLSearchParams, max = Infinity): number {
+  const budget = parseInt(params.get('budget') ?? '', 10);
+  return Math.min(budget > 0 ? budget : DEFAULT_LIST_BUDGET, max);
+}
+
+/** Cursor opaco de paginación (base64url de un JSON). */
+function encodeCursor(value: unknown): string {
+  const b64 = btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(value))));
+  return b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor: string): [string, string] | null {
+  try {
+    const bin = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const v = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0))));
+    return Array.isArray(v) && v.length === 2 && v.every(x => typeof x === 'string') ? [v[0], v[1]] : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Copia profunda de `value` sustituyendo los strings que coincidan
+ *  exactamente con una clave de `map` (alias → nombre anónimo). */
+function replaceStrings(value: unknown, map: Map<string, string>): unknown {
+  if (typeof value === 'string') return map.get(value) ?? value;
+  if (Array.isArray(value)) return value.map(v => replaceStrings(v, map));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, replaceStrings(v, map)]));
+  }
+  return value;
+}
+
+/** `text` con cada alias de `map` sustituido donde aparezca como palabra
+ *  suelta (sin distinguir mayúsculas): títulos como "Alice vs Bob", que
+ *  `replaceStrings` no toca por no ser el alias entero. */
+function replaceAliasesInText(text: string, map: Map<string, string>): string {
+  // Los largos primero: "Ana María" antes que "Ana"
+  const aliases = [...map.keys()].filter(a => a.trim()).sort((a, b) => b.length - a.length);
+  if (!aliases.length) return text;
+  const escaped = aliases.map(a => a.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${escaped.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  const lower = new Map([...map].map(([k, v]) => [k.trim().toLowerCase(), v]));
+  return text.replace(pattern, m => lower.get(m.toLowerCase()) ?? m);
+}
+
 function versionString(v: VersionMeta): string {
   return `${v.major}.${v.minor}.${v.patch}`;
 }
 
 export default {
-  async fetch(request: Request, env: Env): Promise<Response> {
+  async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
     if (request.method === 'OPTIONS') {
       return new Response(null, { status: 204, headers: CORS_HEADERS });
     }
@@ -239,6 +382,32 @@ export default {
       });
     }
 
+    /* ── POST /api/lists/validate — informe de legalidad ─────── */
+    if (pathname === '/api/lists/validate' && request.method === 'POST') {
+      const contentLength = parseInt(request.headers.get('content-length') ?? '0');
+      if (contentLength > MAX_PAYLOAD) {
+        return new Response(JSON.stringify({ error: 'Payload too large' }), {
+          status: 413,
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      let body: unknown;
+      try {
+        body = await request.json();
+      } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400,
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      const report = await checkListLegality(env.DB, body, listBudget(new URL(request.url).searchParams));
+      return new Response(JSON.stringify(report), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
     /* ── POST /api/lists — guardar una lista nueva ──────────── */
     if (pathname === '/api/lists' && request.method === 'POST') {
       const contentLength = parseInt(request.headers.get('content-length') ?? '0');
@@ -266,23 +435,172 @@ export default {
         });
       }
 
-      const id = generateId();
-      await env.DB.prepare(
-        'INSERT INTO lists (id, programmer, data) VALUES (?, ?, ?)'
-      ).bind(id, body.programmer, JSON.stringify(body)).run();
+      // ?strict=1 → solo se guarda si es legal contra el catálogo
+      const params = new URL(request.url).searchParams;
+      if (params.get('strict') === '1') {
+        const report = await checkListLegality(env.DB, body, listBudget(params, DEFAULT_LIST_BUDGET));
+        if (!report.legal) {
+          return new Response(JSON.stringify({ error: 'illegal_list', report }), {
+            status: 422,
+            headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+      }
+
+      // Id = hash del contenido: la misma lista guardada otra vez devuelve el
+      // id existente (200) en lugar de duplicarse
+      const { id, stmt } = await saveListStatement(env.DB, body);
+      const result = await stmt.run();
 
       return new Response(JSON.stringify({ id }), {
-        status: 201,
+        status: result.meta.changes ? 201 : 200,
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/lists/dedupe — migrar a ids de contenido (admin) ── */
+    if (pathname === '/api/lists/dedupe' && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let body: { cursor?: string | null; limit?: number };
+      try { body = await request.json(); } catch { body = {}; }
+      // Por tandas, como /api/battles/stats/rebuild: repetir con el `cursor`
+      // devuelto hasta recibir null
+      const limit = Math.min(50, Math.max(1, Number.isInteger(body.limit) ? body.limit! : 20));
+      const result = await dedupeLists(env.DB, body.cursor ?? '', limit);
+      return new Response(JSON.stringify(result), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/lists/:id/fork — nueva versión de una lista ── */
+    const listForkMatch = pathname.match(/^\/api\/lists\/([a-z0-9]+)\/fork$/);
+    if (listForkMatch && request.method === 'POST') {
+      const contentLength = parseInt(request.headers.get('content-length') ?? '0');
+      if (contentLength > MAX_PAYLOAD) {
+        return new Response(JSON.stringify({ error: 'Payload too large' }), {
+          status: 413,
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      const parentId = await resolveListId(env.DB, listForkMatch[1]);
+      const parent = await env.DB.prepare('SELECT id FROM lists WHERE id = ?').bind(parentId).first();
+      if (!parent) {
+        return new Response(JSON.stringify({ error: 'List not found' }), {
+          status: 404,
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      let body: { programmer: string; bots: unknown[] };
+      try {
+        body = await request.json();
+      } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400,
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      if (!body.programmer || !Array.isArray(body.bots) || body.bots.length === 0) {
+        return new Response(JSON.stringify({ error: 'Missing programmer or bots' }), {
+          status: 400,
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      const params = new URL(request.url).searchParams;
+      if (params.get('strict') === '1') {
+        const report = await checkListLegality(env.DB, body, listBudget(params, DEFAULT_LIST_BUDGET));
+        if (!report.legal) {
+          return new Response(JSON.stringify({ error: 'illegal_list', report }), {
+            status: 422,
+            headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+      }
+
+      const { id, stmt } = await saveListStatement(env.DB, body, { parentId });
+      if (id === parentId) {
+        return new Response(JSON.stringify({ error: 'no_changes' }), {
+          status: 400,
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Si esa lista ya existía se devuelve tal cual, con su linaje original:
+      // `parentId` es el guardado y `parentRecorded` dice si es este fork
+      const result = await stmt.run();
+      const storedParent = result.meta.changes
+        ? parentId
+        : (await env.DB.prepare('SELECT parent_id FROM lists WHERE id = ?').bind(id).first<{ parent_id: string | null }>())?.parent_id ?? null;
+
+      return new Response(JSON.stringify({
+        id, parentId: storedParent, created: !!result.meta.changes, parentRecorded: storedParent === parentId,
+      }), {
+        status: result.meta.changes ? 201 : 200,
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/lists/:id/lineage — antepasados y descendientes ── */
+    const listLineageMatch = pathname.match(/^\/api\/lists\/([a-z0-9]+)\/lineage$/);
+    if (listLineageMatch && request.method === 'GET') {
+      const listId = await resolveListId(env.DB, listLineageMatch[1]);
+      const exists = await env.DB.prepare('SELECT id FROM lists WHERE id = ?').bind(listId).first();
+      if (!exists) {
+        return new Response(JSON.stringify({ error: 'List not found' }), {
+          status: 404,
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      const lineage = await listLineage(env.DB, listId);
+      return new Response(JSON.stringify({ id: listId, ...lineage }), {
         headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
       });
     }
 
+    /* ── GET /api/lists/:a/diff/:b — cambios entre dos listas ─── */
+    const listDiffMatch = pathname.match(/^\/api\/lists\/([a-z0-9]+)\/diff\/([a-z0-9]+)$/);
+    if (listDiffMatch && request.method === 'GET') {
+      const ids = [await resolveListId(env.DB, listDiffMatch[1]), await resolveListId(env.DB, listDiffMatch[2])];
+      const rows = await env.DB.prepare('SELECT id, data FROM lists WHERE id IN (?, ?)')
+        .bind(ids[0], ids[1]).all<{ id: string; data: string }>();
+      const data = ids.map(id => rows.results.find(r => r.id === id));
+      if (!data[0] || !data[1]) {
+        return new Response(JSON.stringify({ error: 'List not found' }), {
+          status: 404,
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      // Ids de contenido → el diff entre dos ids no cambia nunca
+      return new Response(JSON.stringify({
+        a: ids[0],
+        b: ids[1],
+        ...diffLists(JSON.parse(data[0].data), JSON.parse(data[1].data)),
+      }), {
+        headers: {
+          ...CORS_HEADERS,
+          'Content-Type': 'application/json',
+          'Cache-Control': 'public, max-age=86400, immutable',
+        },
+      });
+    }
+
     /* ── GET /api/lists/:id — recuperar una lista ─────────── */
     const listMatch = pathname.match(/^\/api\/lists\/([a-z0-9]+)$/);
     if (listMatch && request.method === 'GET') {
+      // Ids antiguos (aleatorios) → id de contenido vía list_aliases. El
+      // contenido es el mismo, así que la respuesta sigue siendo inmutable
+      const listId = await resolveListId(env.DB, listMatch[1]);
       const row = await env.DB.prepare(
-        'SELECT data, created_at FROM lists WHERE id = ?'
-      ).bind(listMatch[1]).first<{ data: string; created_at: string }>();
+        'SELECT data, parent_id, created_at FROM lists WHERE id = ?'
+      ).bind(listId).first<{ data: string; parent_id: string | null; created_at: string }>();
 
       if (!row) {
         return new Response(JSON.stringify({ error: 'List not found' }), {
@@ -291,9 +609,47 @@ export default {
         });
       }
 
+      // ?format=text|md|qr — roster imprimible, Markdown o QR (SVG)
+      const format = new URL(request.url).searchParams.get('format');
+      if (format === 'text' || format === 'md') {
+        const stats = await loadFunctionStats(env.DB);
+        const data = JSON.parse(row.data);
+        return new Response(
+          format === 'text' ? listToText(listId, data, stats) : listToMarkdown(listId, data, stats),
+          {
+            headers: {
+              ...CORS_HEADERS,
+              'Content-Type': format === 'text' ? 'text/plain; charset=utf-8' : 'text/markdown; charset=utf-8',
+              // Las estadísticas de las funciones sí pueden cambiar
+              'Cache-Control': 'public, max-age=3600',
+            },
+          },
+        );
+      }
+      if (format === 'qr') {
+        const url = env.LIST_SHARE_URL
+          ? env.LIST_SHARE_URL.replace('{id}', listId)
+          : `${new URL(request.url).origin}/api/lists/${listId}?format=text`;
+        return new Response(qrSvg(url), {
+          headers: {
+            ...CORS_HEADERS,
+            'Content-Type': 'image/svg+xml',
+            'Cache-Control': 'public, max-age=86400',
+          },
+        });
+      }
+      if (format !== null && format !== 'json') {
+        return new Response(JSON.stringify({ error: 'format must be json, text, md or qr' }), {
+          status: 400,
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
       return new Response(JSON.stringify({
         id: listMatch[1],
+        ...(listId !== listMatch[1] ? { canonicalId: listId } : {}),
         ...JSON.parse(row.data),
+        parent_id: row.parent_id,
         created_at: row.created_at,
       }), {
         headers: {
@@ -304,6 +660,33 @@ export default {
       });
     }
 
+    /* ── GET /api/meta?days= — popularidad de funciones y builds ── */
+    if (pathname === '/api/meta' && request.method === 'GET') {
+      const days = new URL(request.url).searchParams.get('days') ?? '30';
+      const windows = metaWindows(env.META_WINDOWS);
+      const window: MetaWindow | null = days === 'all' ? 'all' : windows.includes(Number(days)) ? Number(days) : null;
+      if (window === null) {
+        return new Response(JSON.stringify({ error: `days must be one of ${[...windows, 'all'].join(', ')}` }), {
+          status: 400,
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      // Lo recalcula el cron; solo se calcula aquí si aún no hay nada en KV
+      let report = await env.META.get(metaKey(window));
+      if (!report) {
+        report = JSON.stringify(await computeMetaReport(env.DB, window));
+        ctx.waitUntil(env.META.put(metaKey(window), report));
+      }
+      return new Response(report, {
+        headers: {
+          ...CORS_HEADERS,
+          'Content-Type': 'application/json',
+          'Cache-Control': 'public, max-age=600',
+        },
+      });
+    }
+
     /* ── Admin auth helper ──────────────────────────────────── */
     function verifyAdmin(): boolean {
       const token = request.headers.get('X-Admin-Token');
@@ -325,13 +708,18 @@ export default {
       });
     }
 
-    /* ── GET /api/scenarios — listar escenarios ──────────────── */
+    /* ── GET /api/scenarios — listar escenarios (público: publicados; admin: todos) ── */
     if (pathname === '/api/scenarios' && request.method === 'GET') {
       const full = new URL(request.url).searchParams.has('full');
-      const sql = full
-        ? 'SELECT id, title, data, updated_at FROM scenarios ORDER BY json_extract(data, \'$.numeroEscenario\') ASC'
-        : 'SELECT id, title, updated_at FROM scenarios ORDER BY json_extract(data, \'$.numeroEscenario\') ASC';
-      const rows = await env.DB.prepare(sql).all();
+      const isAdmin = verifyAdmin();
+      // En el orden de la estructura de actos; los que no tienen acto, al final
+      const rows = await env.DB.prepare(
+        `SELECT s.id, s.title, ${full ? 's.data, ' : ''}s.act_id, s.act_position, s.updated_at
+                ${isAdmin ? ', s.published, s.published_at, s.publish_at' : ''}
+         FROM scenarios s LEFT JOIN acts a ON a.id = s.act_id
+         ${isAdmin ? '' : `WHERE ${PUBLIC_SCENARIO_SQL}`}
+         ORDER BY a.position IS NULL, a.position ASC, s.act_position ASC, s.title ASC`
+      ).bind(...(isAdmin ? [] : [new Date().toISOString()])).all();
       const results = full
         ? rows.results.map((r: any) => ({ ...r, data: r.data ? JSON.parse(r.data) : {} }))
         : rows.results;
@@ -340,13 +728,20 @@ export default {
       });
     }
 
-    /* ── GET /api/scenarios/:id — obtener escenario ──────────── */
+    /* ── GET /api/scenarios/:id — obtener escenario (borradores: admin o ?preview=<token>) ── */
     const scenarioMatch = pathname.match(/^\/api\/scenarios\/([a-z0-9]+)$/);
     if (scenarioMatch && request.method === 'GET') {
       const row = await env.DB.prepare(
-        'SELECT id, title, data, created_at, updated_at FROM scenarios WHERE id = ?'
-      ).bind(scenarioMatch[1]).first<{ id: string; title: string; data: string; created_at: string; updated_at: string }>();
-      if (!row) {
+        `SELECT id, title, data, act_id, act_position, published, published_at, publish_at, created_at, updated_at
+         FROM scenarios WHERE id = ?`
+      ).bind(scenarioMatch[1]).first<{
+        id: string; title: string; data: string; act_id: string | null; act_position: number | null;
+        published: number; published_at: string | null; publish_at: string | null;
+        created_at: string; updated_at: string;
+      }>();
+      const visible = !!row && (isScenarioPublic(row) || verifyAdmin()
+        || await previewAllowed(env.DB, row.id, new URL(request.url).searchParams.get('preview')));
+      if (!row || !visible) {
         return new Response(JSON.stringify({ error: 'Scenario not found' }), {
           status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
@@ -356,6 +751,66 @@ export default {
       });
     }
 
+    /* ── GET /api/scenarios/:id/map.svg — mapa renderizado (mismo acceso que el detalle) ──
+       Query: `orientation=pointy|flat`, `size` (radio en px), `coords=1`,
+       `legend=1`. */
+    const scenarioMapMatch = pathname.match(/^\/api\/scenarios\/([a-z0-9]+)\/map\.svg$/);
+    if (scenarioMapMatch && request.method === 'GET') {
+      const params = new URL(request.url).searchParams;
+      const options = parseHexMapSvgOptions(params);
+      if (typeof options === 'string') {
+        return new Response(JSON.stringify({ error: options }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const row = await env.DB.prepare(
+        `SELECT id, title, json_extract(data, '$.hexMap') AS hex_map, published, publish_at FROM scenarios WHERE id = ?`
+      ).bind(scenarioMapMatch[1]).first<{ id: string; title: string; hex_map: string | null; published: number; publish_at: string | null }>();
+      const visible = !!row && (isScenarioPublic(row) || verifyAdmin()
+        || await previewAllowed(env.DB, row.id, params.get('preview')));
+      if (!row || !visible) {
+        return new Response(JSON.stringify({ error: 'Scenario not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const shared = await env.DB.prepare('SELECT id, name, color, border_color FROM hex_types')
+        .all<{ id: string; name: string; color: string; border_color: string }>();
+      const svg = hexMapSvg(row.hex_map, shared.results, options, row.title);
+      if (!svg) {
+        return new Response(JSON.stringify({ error: 'Scenario has no hex map' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(svg, {
+        headers: {
+          ...CORS_HEADERS,
+          'Content-Type': 'image/svg+xml',
+          // Un borrador no debe quedarse en cachés compartidas
+          'Cache-Control': isScenarioPublic(row) ? 'public, max-age=300' : 'private, no-store',
+        },
+      });
+    }
+
+    /* ── POST /api/scenarios/validate — informe sin guardar (admin) ── */
+    if (pathname === '/api/scenarios/validate' && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Mismo body que POST/PUT /api/scenarios
+      let body: { data: unknown };
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const report = await validateScenarioData(env.DB, body?.data);
+      return new Response(JSON.stringify(report), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
     /* ── POST /api/scenarios — crear escenario (admin) ────────── */
     if (pathname === '/api/scenarios' && request.method === 'POST') {
       if (!verifyAdmin()) {
@@ -363,36 +818,58 @@ export default {
           status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      let body: { title: string; data: any };
+      let body: { title: string; data: any; actId?: string | null; position?: number; published?: boolean; publishAt?: string | null };
       try { body = await request.json(); } catch {
         return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
           status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
+      let publishAt: string | null | undefined;
+      try { publishAt = parsePublishAt(body.publishAt); } catch (e) {
+        return new Response(JSON.stringify({ error: (e as Error).message }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
       if (!body.title) {
         return new Response(JSON.stringify({ error: 'Missing title' }), {
           status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      // Validate unique numeroEscenario
-      const numEsc = body.data?.numeroEscenario;
-      if (numEsc != null) {
-        const all = await env.DB.prepare('SELECT id, data FROM scenarios').all<{ id: string; data: string }>();
-        const dup = all.results.find(r => {
-          try { return JSON.parse(r.data)?.numeroEscenario === numEsc; } catch { return false; }
+      if (body.position !== undefined && (!Number.isInteger(body.position) || body.position < 1)) {
+        return new Response(JSON.stringify({ error: 'position must be a positive integer' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const report = await validateScenarioData(env.DB, body.data ?? {});
+      if (!report.valid) {
+        return new Response(JSON.stringify({ error: 'invalid_scenario', report }), {
+          status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
-        if (dup) {
-          return new Response(JSON.stringify({ error: `El número de escenario ${numEsc < 10 ? '0' + numEsc : numEsc} ya está en uso.` }), {
-            status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-          });
-        }
+      }
+      // `numeroEscenario` ya no se valida aquí: lo asigna la estructura de
+      // actos (`actId` + `position`), así que no puede repetirse
+      if (body.actId && !await env.DB.prepare('SELECT id FROM acts WHERE id = ?').bind(body.actId).first()) {
+        return new Response(JSON.stringify({ error: 'act_not_found' }), {
+          status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Fuera de todo acto no hay número: la renumeración lo quita (el
+      // editor antiguo lo sigue mandando), así que solo se avisa
+      if (!body.actId && body.data?.numeroEscenario != null) {
+        report.issues.push(NUMERO_WITHOUT_ACT);
       }
       const id = generateId();
       const now = new Date().toISOString();
-      await env.DB.prepare(
-        'INSERT INTO scenarios (id, title, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?)'
-      ).bind(id, body.title, JSON.stringify(body.data), now, now).run();
-      return new Response(JSON.stringify({ id }), {
+      // Nace como borrador salvo `published: true`
+      const state = publicationState(!!body.published, publishAt ?? null, null, now);
+      await env.DB.batch([
+        env.DB.prepare(
+          `INSERT INTO scenarios (id, title, data, published, published_at, publish_at, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(id, body.title, JSON.stringify(body.data ?? {}), state.published, state.published_at, state.publish_at, now, now),
+        ...await moveScenarioStatements(env.DB, id, body.actId ?? null, body.position),
+      ]);
+      return new Response(JSON.stringify({ id, warnings: report.issues }), {
         status: 201, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
       });
     }
@@ -404,35 +881,64 @@ export default {
           status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      let body: { title: string; data: any };
+      let body: { title: string; data: any; actId?: string | null; position?: number; published?: boolean; publishAt?: string | null };
       try { body = await request.json(); } catch {
         return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
           status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      // Validate unique numeroEscenario (exclude self)
-      const numEsc = body.data?.numeroEscenario;
-      if (numEsc != null) {
-        const all = await env.DB.prepare('SELECT id, data FROM scenarios WHERE id != ?').bind(scenarioMatch[1]).all<{ id: string; data: string }>();
-        const dup = all.results.find(r => {
-          try { return JSON.parse(r.data)?.numeroEscenario === numEsc; } catch { return false; }
+      let publishAt: string | null | undefined;
+      try { publishAt = parsePublishAt(body.publishAt); } catch (e) {
+        return new Response(JSON.stringify({ error: (e as Error).message }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
-        if (dup) {
-          return new Response(JSON.stringify({ error: `El número de escenario ${numEsc < 10 ? '0' + numEsc : numEsc} ya está en uso.` }), {
-            status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-          });
-        }
       }
-      const now = new Date().toISOString();
-      const result = await env.DB.prepare(
-        'UPDATE scenarios SET title = ?, data = ?, updated_at = ? WHERE id = ?'
-      ).bind(body.title, JSON.stringify(body.data), now, scenarioMatch[1]).run();
-      if (!result.meta.changes) {
+      if (body.position !== undefined && (!Number.isInteger(body.position) || body.position < 1)) {
+        return new Response(JSON.stringify({ error: 'position must be a positive integer' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const current = await env.DB.prepare('SELECT act_id, published, published_at, publish_at FROM scenarios WHERE id = ?')
+        .bind(scenarioMatch[1]).first<{ act_id: string | null; published: number; published_at: string | null; publish_at: string | null }>();
+      if (!current) {
         return new Response(JSON.stringify({ error: 'Scenario not found' }), {
           status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      return new Response(JSON.stringify({ ok: true }), {
+      const report = await validateScenarioData(env.DB, body.data ?? {});
+      if (!report.valid) {
+        return new Response(JSON.stringify({ error: 'invalid_scenario', report }), {
+          status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (body.actId && !await env.DB.prepare('SELECT id FROM acts WHERE id = ?').bind(body.actId).first()) {
+        return new Response(JSON.stringify({ error: 'act_not_found' }), {
+          status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const actId = body.actId === undefined ? current.act_id : body.actId;
+      if (!actId && body.data?.numeroEscenario != null) report.issues.push(NUMERO_WITHOUT_ACT);
+      // Sin `actId` ni `position` se queda donde estaba; la renumeración
+      // vuelve a poner su `numeroEscenario` / `acto` en `data`
+      const move = body.actId !== undefined || body.position !== undefined
+        ? await moveScenarioStatements(env.DB, scenarioMatch[1], actId, body.position)
+        : renumberStatements(env.DB);
+      const now = new Date().toISOString();
+      // `published` / `publishAt` que no vengan se quedan como estaban (el
+      // editor antiguo no los manda)
+      const state = publicationState(
+        body.published ?? current.published === 1,
+        publishAt === undefined ? current.publish_at : publishAt,
+        current.published_at, now,
+      );
+      await env.DB.batch([
+        revisionStatement(env.DB, 'scenarios', scenarioMatch[1], 'update'),
+        env.DB.prepare(
+          'UPDATE scenarios SET title = ?, data = ?, published = ?, published_at = ?, publish_at = ?, updated_at = ? WHERE id = ?'
+        ).bind(body.title, JSON.stringify(body.data ?? {}), state.published, state.published_at, state.publish_at, now, scenarioMatch[1]),
+        ...move,
+      ]);
+      return new Response(JSON.stringify({ ok: true, warnings: report.issues }), {
         headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
       });
     }
@@ -444,40 +950,271 @@ export default {
           status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      await env.DB.prepare('DELETE FROM scenarios WHERE id = ?').bind(scenarioMatch[1]).run();
+      // Los que venían detrás en la campaña suben un número
+      await env.DB.batch([
+        revisionStatement(env.DB, 'scenarios', scenarioMatch[1], 'delete'),
+        env.DB.prepare('DELETE FROM scenarios WHERE id = ?').bind(scenarioMatch[1]),
+        env.DB.prepare('DELETE FROM scenario_previews WHERE scenario_id = ?').bind(scenarioMatch[1]),
+        ...renumberStatements(env.DB),
+      ]);
       return new Response(JSON.stringify({ ok: true }), {
         headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
       });
     }
 
-    /* ══ NOTICIAS (posts) ══════════════════════════════════════ */
-
-    /* ── GET /api/posts — listado (público: publicados; admin: todos) ── */
-    if (pathname === '/api/posts' && request.method === 'GET') {
-      const isAdmin = verifyAdmin();
-      const sql = isAdmin
-        ? 'SELECT id, slug, title, header_image, published, published_at, created_at, updated_at FROM posts ORDER BY COALESCE(published_at, created_at) DESC'
-        : 'SELECT id, slug, title, header_image, published_at FROM posts WHERE published = 1 ORDER BY published_at DESC';
-      const rows = await env.DB.prepare(sql).all();
-      return new Response(JSON.stringify(rows.results), {
-        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-      });
-    }
-
-    /* ── GET /api/posts/:slug — detalle (borradores solo admin) ── */
-    const postMatch = pathname.match(/^\/api\/posts\/([a-z0-9-]+)$/);
-    if (postMatch && request.method === 'GET') {
-      const isAdmin = verifyAdmin();
-      // El editor admin carga por id; el público por slug — se aceptan ambos
-      const row = await env.DB.prepare(
-        'SELECT id, slug, title, content, header_image, published, published_at, created_at, updated_at FROM posts WHERE slug = ? OR id = ?'
-      ).bind(postMatch[1], postMatch[1]).first();
-      if (!row || (!isAdmin && !(row as { published: number }).published)) {
-        return new Response(JSON.stringify({ error: 'Post not found' }), {
+    /* ── POST /api/scenarios/:id/previews — enlace de vista previa de un borrador (admin) ── */
+    const previewsMatch = pathname.match(/^\/api\/scenarios\/([a-z0-9]+)\/previews$/);
+    if (previewsMatch && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let body: { hours?: number } = {};
+      try { body = await request.json(); } catch { /* sin body: duración por defecto */ }
+      const hours = body?.hours ?? PREVIEW_DEFAULT_HOURS;
+      if (typeof hours !== 'number' || !(hours > 0) || hours > PREVIEW_MAX_HOURS) {
+        return new Response(JSON.stringify({ error: `hours must be a number between 0 and ${PREVIEW_MAX_HOURS}` }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const scenario = await env.DB.prepare('SELECT published FROM scenarios WHERE id = ?')
+        .bind(previewsMatch[1]).first<{ published: number }>();
+      if (!scenario) {
+        return new Response(JSON.stringify({ error: 'Scenario not found' }), {
           status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      return new Response(JSON.stringify(row), {
+      const token = generateId(16);
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + hours * 3_600_000).toISOString();
+      await env.DB.prepare(
+        'INSERT INTO scenario_previews (token, scenario_id, expires_at, created_at) VALUES (?, ?, ?, ?)'
+      ).bind(token, previewsMatch[1], expiresAt, now.toISOString()).run();
+      return new Response(JSON.stringify({
+        token, url: `/api/scenarios/${previewsMatch[1]}?preview=${token}`, expiresAt, published: scenario.published === 1,
+      }), {
+        status: 201, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/scenarios/:id/previews — enlaces vigentes (admin) ── */
+    if (previewsMatch && request.method === 'GET') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const rows = await env.DB.prepare(
+        `SELECT token, expires_at, created_at FROM scenario_previews
+         WHERE scenario_id = ? AND expires_at > ? ORDER BY created_at DESC`
+      ).bind(previewsMatch[1], new Date().toISOString()).all<{ token: string; expires_at: string; created_at: string }>();
+      const results = rows.results.map(r => ({
+        token: r.token,
+        url: `/api/scenarios/${previewsMatch[1]}?preview=${r.token}`,
+        expiresAt: r.expires_at,
+        createdAt: r.created_at,
+      }));
+      return new Response(JSON.stringify(results), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── DELETE /api/scenarios/:id/previews/:token — revocar enlace (admin) ── */
+    const previewMatch = pathname.match(/^\/api\/scenarios\/([a-z0-9]+)\/previews\/([a-z0-9]+)$/);
+    if (previewMatch && request.method === 'DELETE') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      await env.DB.prepare('DELETE FROM scenario_previews WHERE token = ? AND scenario_id = ?')
+        .bind(previewMatch[2], previewMatch[1]).run();
+      return new Response(JSON.stringify({ ok: true }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ══ ACTOS (estructura de la campaña) ══════════════════════ */
+
+    /* ── GET /api/acts — actos con sus escenarios en orden (borradores solo admin) ── */
+    if (pathname === '/api/acts' && request.method === 'GET') {
+      return new Response(JSON.stringify(await loadActTree(env.DB, verifyAdmin())), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/acts — crear acto (admin) ──────────────────── */
+    if (pathname === '/api/acts' && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let body: { title: string; description?: string | null; position?: number };
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const title = typeof body.title === 'string' ? body.title.trim() : '';
+      if (!title || (body.position !== undefined && (!Number.isInteger(body.position) || body.position < 1))) {
+        return new Response(JSON.stringify({ error: 'Missing title or invalid position' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Sin `position`, al final; con ella, los de detrás se desplazan
+      const id = generateId();
+      const now = new Date().toISOString();
+      await env.DB.batch([
+        ...(body.position
+          ? [env.DB.prepare('UPDATE acts SET position = position + 1 WHERE position >= ?').bind(body.position)]
+          : []),
+        env.DB.prepare(
+          `INSERT INTO acts (id, title, description, position, created_at, updated_at)
+           VALUES (?, ?, ?, COALESCE(?, (SELECT COALESCE(MAX(position), 0) + 1 FROM acts)), ?, ?)`
+        ).bind(id, title, body.description ?? null, body.position ?? null, now, now),
+        ...renumberStatements(env.DB),
+      ]);
+      return new Response(JSON.stringify({ id }), {
+        status: 201, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/acts/reorder — reordenar actos y escenarios (admin) ── */
+    if (pathname === '/api/acts/reorder' && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // La estructura completa: `[{ id, scenarios: [ids…] }, …]` con todos
+      // los actos en su nuevo orden. Los escenarios que no aparezcan quedan
+      // fuera de la campaña. Todo va en un batch (una transacción)
+      let body: { acts: { id: string; scenarios: string[] }[] };
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (!Array.isArray(body.acts) || !body.acts.every(a =>
+        a && typeof a.id === 'string' && Array.isArray(a.scenarios) && a.scenarios.every(s => typeof s === 'string'))) {
+        return new Response(JSON.stringify({ error: 'acts must be an array of { id, scenarios: string[] }' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const tree = await loadActTree(env.DB);
+      const actIds = body.acts.map(a => a.id);
+      const scenarioIds = body.acts.flatMap(a => a.scenarios);
+      const known = new Set([...tree.acts.flatMap(a => a.scenarios.map(s => s.id)), ...tree.unassigned.map(s => s.id)]);
+      const error = new Set(actIds).size !== actIds.length || actIds.length !== tree.acts.length
+        || !tree.acts.every(a => actIds.includes(a.id)) ? 'acts_mismatch'
+        : new Set(scenarioIds).size !== scenarioIds.length ? 'duplicate_scenarios'
+        : scenarioIds.some(id => !known.has(id)) ? 'unknown_scenarios'
+        : null;
+      if (error) {
+        return new Response(JSON.stringify({ error }), {
+          status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      await env.DB.batch([
+        env.DB.prepare('UPDATE acts SET position = p.key + 1 FROM json_each(?) p WHERE acts.id = p.value')
+          .bind(JSON.stringify(actIds)),
+        env.DB.prepare('UPDATE scenarios SET act_id = NULL, act_position = NULL'),
+        ...body.acts.map(a => placeScenariosStatement(env.DB, a.id, a.scenarios)),
+        ...renumberStatements(env.DB),
+      ]);
+      return new Response(JSON.stringify(await loadActTree(env.DB)), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── PUT /api/acts/:id — renombrar acto (admin) ───────────── */
+    const actMatch = pathname.match(/^\/api\/acts\/([a-z0-9]+)$/);
+    if (actMatch && request.method === 'PUT') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let body: { title: string; description?: string | null };
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const title = typeof body.title === 'string' ? body.title.trim() : '';
+      if (!title) {
+        return new Response(JSON.stringify({ error: 'Missing title' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // El nuevo título se copia al `acto` de sus escenarios
+      const [result] = await env.DB.batch([
+        env.DB.prepare('UPDATE acts SET title = ?, description = ?, updated_at = ? WHERE id = ?')
+          .bind(title, body.description ?? null, new Date().toISOString(), actMatch[1]),
+        ...renumberStatements(env.DB),
+      ]);
+      if (!result.meta.changes) {
+        return new Response(JSON.stringify({ error: 'Act not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify({ ok: true }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── DELETE /api/acts/:id — borrar acto vacío (admin) ─────── */
+    if (actMatch && request.method === 'DELETE') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Con escenarios dentro no: primero se mueven (PUT del escenario o reorder)
+      if ((await actScenarioIds(env.DB, actMatch[1])).length) {
+        return new Response(JSON.stringify({ error: 'act_not_empty' }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      await env.DB.batch([
+        env.DB.prepare('DELETE FROM acts WHERE id = ?').bind(actMatch[1]),
+        ...renumberStatements(env.DB),
+      ]);
+      return new Response(JSON.stringify({ ok: true }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ══ NOTICIAS (posts) ══════════════════════════════════════ */
+
+    /* ── GET /api/posts — listado (público: publicados; admin: todos) ── */
+    if (pathname === '/api/posts' && request.method === 'GET') {
+      const isAdmin = verifyAdmin();
+      const sql = isAdmin
+        ? 'SELECT id, slug, title, header_image, published, published_at, created_at, updated_at FROM posts ORDER BY COALESCE(published_at, created_at) DESC'
+        : 'SELECT id, slug, title, header_image, published_at FROM posts WHERE published = 1 ORDER BY published_at DESC';
+      const rows = await env.DB.prepare(sql).all();
+      return new Response(JSON.stringify(rows.results), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/posts/:slug — detalle (borradores solo admin) ── */
+    const postMatch = pathname.match(/^\/api\/posts\/([a-z0-9-]+)$/);
+    if (postMatch && request.method === 'GET') {
+      const isAdmin = verifyAdmin();
+      // El editor admin carga por id; el público por slug — se aceptan ambos
+      const row = await env.DB.prepare(
+        'SELECT id, slug, title, content, header_image, published, published_at, created_at, updated_at FROM posts WHERE slug = ? OR id = ?'
+      ).bind(postMatch[1], postMatch[1]).first();
+      if (!row || (!isAdmin && !(row as { published: number }).published)) {
+        return new Response(JSON.stringify({ error: 'Post not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify(row), {
         headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
       });
     }
@@ -491,7 +1228,10 @@ export default {
         });
       }
       if (request.method === 'DELETE') {
-        await env.DB.prepare('DELETE FROM posts WHERE id = ?').bind(postMatch![1]).run();
+        await env.DB.batch([
+          revisionStatement(env.DB, 'posts', postMatch![1], 'delete'),
+          env.DB.prepare('DELETE FROM posts WHERE id = ?').bind(postMatch![1]),
+        ]);
         return new Response(JSON.stringify({ ok: true }), {
           headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
@@ -529,9 +1269,12 @@ export default {
           });
         }
         const publishedAt = published && !prev.published_at ? now : prev.published_at;
-        await env.DB.prepare(
-          'UPDATE posts SET slug = ?, title = ?, content = ?, header_image = ?, published = ?, published_at = ?, updated_at = ? WHERE id = ?'
-        ).bind(slug, title, content, body.headerImage ?? null, published, publishedAt, now, editId).run();
+        await env.DB.batch([
+          revisionStatement(env.DB, 'posts', editId, 'update'),
+          env.DB.prepare(
+            'UPDATE posts SET slug = ?, title = ?, content = ?, header_image = ?, published = ?, published_at = ?, updated_at = ? WHERE id = ?'
+          ).bind(slug, title, content, body.headerImage ?? null, published, publishedAt, now, editId),
+        ]);
         return new Response(JSON.stringify({ ok: true }), {
           headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
@@ -568,7 +1311,10 @@ export default {
         });
       }
       if (request.method === 'DELETE') {
-        await env.DB.prepare('DELETE FROM faqs WHERE id = ?').bind(faqMatch![1]).run();
+        await env.DB.batch([
+          revisionStatement(env.DB, 'faqs', faqMatch![1], 'delete'),
+          env.DB.prepare('DELETE FROM faqs WHERE id = ?').bind(faqMatch![1]),
+        ]);
         return new Response(JSON.stringify({ ok: true }), {
           headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
@@ -589,9 +1335,12 @@ export default {
       }
       const now = new Date().toISOString();
       if (faqMatch && request.method === 'PUT') {
-        const result = await env.DB.prepare(
-          'UPDATE faqs SET question = ?, answer = ?, sort_order = ?, published = ?, updated_at = ? WHERE id = ?'
-        ).bind(question, answer, sortOrder, body.published ? 1 : 0, now, faqMatch[1]).run();
+        const [, result] = await env.DB.batch([
+          revisionStatement(env.DB, 'faqs', faqMatch[1], 'update'),
+          env.DB.prepare(
+            'UPDATE faqs SET question = ?, answer = ?, sort_order = ?, published = ?, updated_at = ? WHERE id = ?'
+          ).bind(question, answer, sortOrder, body.published ? 1 : 0, now, faqMatch[1]),
+        ]);
         if (!result.meta.changes) {
           return new Response(JSON.stringify({ error: 'FAQ not found' }), {
             status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
@@ -755,9 +1504,12 @@ export default {
           status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      const result = await env.DB.prepare(
-        'UPDATE hex_types SET name = ?, color = ?, border_color = ?, properties = ? WHERE id = ?'
-      ).bind(body.name, body.color, body.borderColor, body.properties ?? '', hexTypeMatch[1]).run();
+      const [, result] = await env.DB.batch([
+        revisionStatement(env.DB, 'hex-types', hexTypeMatch[1], 'update'),
+        env.DB.prepare(
+          'UPDATE hex_types SET name = ?, color = ?, border_color = ?, properties = ? WHERE id = ?'
+        ).bind(body.name, body.color, body.borderColor, body.properties ?? '', hexTypeMatch[1]),
+      ]);
       if (!result.meta.changes) {
         return new Response(JSON.stringify({ error: 'Not found' }), {
           status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
@@ -768,19 +1520,6 @@ export default {
       });
     }
 
-    /* ── DELETE /api/hex-types/:id — borrar tipo (admin) ────────── */
-    if (hexTypeMatch && request.method === 'DELETE') {
-      if (!verifyAdmin()) {
-        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-        });
-      }
-      await env.DB.prepare('DELETE FROM hex_types WHERE id = ?').bind(hexTypeMatch[1]).run();
-      return new Response(JSON.stringify({ ok: true }), {
-        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-      });
-    }
-
     /* ── GET /api/functions — JSON array listo para usar en docs ── */
     if (pathname === '/api/functions' && request.method === 'GET') {
       const rows = await env.DB.prepare(
@@ -872,9 +1611,12 @@ export default {
           status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      const result = await env.DB.prepare(
-        'UPDATE functions SET func_name = ?, func_type = ?, version = ?, range = ?, damage = ?, energy = ?, cost = ?, effects = ? WHERE id = ?'
-      ).bind(body.func_name, body.func_type ?? 'attack', body.version ?? '', body.range ?? '', body.damage ?? '', body.energy ?? '', body.cost ?? '', body.effects ?? '', funcMatch[1]).run();
+      const [, result] = await env.DB.batch([
+        revisionStatement(env.DB, 'functions', funcMatch[1], 'update'),
+        env.DB.prepare(
+          'UPDATE functions SET func_name = ?, func_type = ?, version = ?, range = ?, damage = ?, energy = ?, cost = ?, effects = ? WHERE id = ?'
+        ).bind(body.func_name, body.func_type ?? 'attack', body.version ?? '', body.range ?? '', body.damage ?? '', body.energy ?? '', body.cost ?? '', body.effects ?? '', funcMatch[1]),
+      ]);
       if (!result.meta.changes) {
         return new Response(JSON.stringify({ error: 'Function not found' }), {
           status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
@@ -885,19 +1627,6 @@ export default {
       });
     }
 
-    /* ── DELETE /api/functions/:id — borrar función (admin) ───── */
-    if (funcMatch && request.method === 'DELETE') {
-      if (!verifyAdmin()) {
-        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-        });
-      }
-      await env.DB.prepare('DELETE FROM functions WHERE id = ?').bind(funcMatch[1]).run();
-      return new Response(JSON.stringify({ ok: true }), {
-        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-      });
-    }
-
     /* ── POST /api/upload — subir archivo a R2 (admin) ───────── */
     if (pathname === '/api/upload' && request.method === 'POST') {
       if (!verifyAdmin()) {
@@ -1045,9 +1774,12 @@ export default {
         });
       }
       const now = new Date().toISOString();
-      const result = await env.DB.prepare(
-        'UPDATE threats SET name = ?, description = ?, data = ?, updated_at = ? WHERE id = ?'
-      ).bind(body.name, body.description ?? '', JSON.stringify(body.data ?? {}), now, threatMatch[1]).run();
+      const [, result] = await env.DB.batch([
+        revisionStatement(env.DB, 'threats', threatMatch[1], 'update'),
+        env.DB.prepare(
+          'UPDATE threats SET name = ?, description = ?, data = ?, updated_at = ? WHERE id = ?'
+        ).bind(body.name, body.description ?? '', JSON.stringify(body.data ?? {}), now, threatMatch[1]),
+      ]);
       if (!result.meta.changes) {
         return new Response(JSON.stringify({ error: 'Threat not found' }), {
           status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
@@ -1058,44 +1790,269 @@ export default {
       });
     }
 
-    /* ── DELETE /api/threats/:id — borrar amenaza (admin) ──── */
-    if (threatMatch && request.method === 'DELETE') {
+    /* ══ USOS DEL CATÁLOGO ═══════════════════════════════════ */
+    // Tipos de hex, amenazas y funciones: qué escenarios y listas los usan,
+    // y borrado que no deja referencias colgando (ver ./usages).
+    const catalogMatch = pathname.match(/^\/api\/(hex-types|threats|functions)\/([a-zA-Z0-9]+)(\/usages)?$/);
+    const catalogKind = catalogMatch
+      ? ({ 'hex-types': 'hex_type', threats: 'threat', functions: 'function' } as const)[catalogMatch[1] as 'hex-types' | 'threats' | 'functions']
+      : undefined;
+
+    /* ── GET /api/{hex-types,threats,functions}/:id/usages — quién lo usa (admin) ── */
+    if (catalogMatch && catalogKind && catalogMatch[3] && request.method === 'GET') {
       if (!verifyAdmin()) {
         return new Response(JSON.stringify({ error: 'Unauthorized' }), {
           status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      await env.DB.prepare('DELETE FROM threats WHERE id = ?').bind(threatMatch[1]).run();
-      return new Response(JSON.stringify({ ok: true }), {
+      const id = catalogMatch[2];
+      const exists = await env.DB.prepare(`SELECT id FROM ${CATALOG_TABLES[catalogKind]} WHERE id = ?`).bind(id).first();
+      if (!exists) {
+        return new Response(JSON.stringify({ error: 'Not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const usages = await findUsages(env.DB, catalogKind, id);
+      return new Response(JSON.stringify({ id, ...usages }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── DELETE /api/{hex-types,threats,functions}/:id — borrar (admin) ──
+       Con referencias responde 409 y la lista de usos, salvo `?force=1`.
+       Forzado con `?replaceWith=<id>` sustituye el id en los escenarios (y
+       amenazas) afectados en el mismo batch; sin él, quedan colgando. */
+    if (catalogMatch && catalogKind && !catalogMatch[3] && request.method === 'DELETE') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const id = catalogMatch[2];
+      const table = CATALOG_TABLES[catalogKind];
+      const params = new URL(request.url).searchParams;
+      const force = params.get('force') === '1';
+      const replaceWith = params.get('replaceWith');
+
+      const usages = await findUsages(env.DB, catalogKind, id);
+      if (usages.total && !force) {
+        return new Response(JSON.stringify({ error: 'in_use', usages }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      const statements: D1PreparedStatement[] = [];
+      let replaced = { scenarios: 0, threats: 0 };
+      if (replaceWith && force) {
+        const target = replaceWith === id
+          ? null
+          : await env.DB.prepare(`SELECT id FROM ${table} WHERE id = ?`).bind(replaceWith).first();
+        if (!target) {
+          return new Response(JSON.stringify({ error: 'invalid_replacement', message: `replaceWith must be another existing id in ${table}` }), {
+            status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        const r = await replaceStatements(env.DB, catalogKind, id, replaceWith);
+        statements.push(...r.statements);
+        replaced = { scenarios: r.scenarios, threats: r.threats };
+      }
+      statements.push(
+        revisionStatement(env.DB, catalogMatch[1] as RevisionEntity, id, 'delete'),
+        env.DB.prepare(`DELETE FROM ${table} WHERE id = ?`).bind(id),
+      );
+      await env.DB.batch(statements);
+      return new Response(JSON.stringify({
+        ok: true,
+        ...(replaceWith && force ? { replacedWith: replaceWith, replaced } : {}),
+        // Las listas no se reescriben: su contenido es inmutable
+        ...(usages.lists.length ? { listsAffected: usages.lists.length } : {}),
+      }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ══ REVISIONES ═══════════════════════════════════════════ */
+    // Versión anterior a cada PUT/DELETE de escenarios, amenazas, funciones,
+    // tipos de hex, posts y FAQs (ver ./revisions).
+    const revisionMatch = pathname.match(
+      /^\/api\/(scenarios|threats|functions|hex-types|posts|faqs)\/([a-zA-Z0-9-]+)\/revisions(?:\/(\d+)\/(diff|restore))?$/
+    );
+
+    /* ── GET /api/<entidad>/:id/revisions — historial (admin) ── */
+    if (revisionMatch && !revisionMatch[3] && request.method === 'GET') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const entity = revisionMatch[1] as RevisionEntity;
+      const id = revisionMatch[2];
+      const [revisions, current] = await Promise.all([listRevisions(env.DB, entity, id), loadCurrent(env.DB, entity, id)]);
+      if (!revisions.length && !current) {
+        return new Response(JSON.stringify({ error: 'Not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify({ entity, id, deleted: !current, revisions }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/<entidad>/:id/revisions/:rev/diff — revisión → versión actual (admin) ── */
+    if (revisionMatch && revisionMatch[4] === 'diff' && request.method === 'GET') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const entity = revisionMatch[1] as RevisionEntity;
+      const id = revisionMatch[2];
+      const rev = Number(revisionMatch[3]);
+      const [snapshot, current] = await Promise.all([loadRevision(env.DB, entity, id, rev), loadCurrent(env.DB, entity, id)]);
+      if (!snapshot) {
+        return new Response(JSON.stringify({ error: 'revision_not_found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify({ entity, id, rev, deleted: !current, ...diffSnapshots(entity, snapshot, current) }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/<entidad>/:id/revisions/:rev/restore — volver a una revisión (admin) ──
+       La versión actual pasa antes al historial, así que restaurar también
+       se puede deshacer. Si la fila se borró, se vuelve a crear. */
+    if (revisionMatch && revisionMatch[4] === 'restore' && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const entity = revisionMatch[1] as RevisionEntity;
+      const id = revisionMatch[2];
+      const rev = Number(revisionMatch[3]);
+      const [snapshot, current] = await Promise.all([loadRevision(env.DB, entity, id, rev), loadCurrent(env.DB, entity, id)]);
+      if (!snapshot) {
+        return new Response(JSON.stringify({ error: 'revision_not_found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Un escenario viejo puede apuntar a elementos del catálogo borrados
+      // después: se restaura igual (es un deshacer) y el informe va en la
+      // respuesta para arreglarlo con un PUT
+      const report = entity === 'scenarios'
+        ? await validateScenarioData(env.DB, JSON.parse(String(snapshot.data ?? '{}')))
+        : null;
+      if (entity === 'posts') {
+        const dup = await env.DB.prepare('SELECT id FROM posts WHERE slug = ? AND id != ?').bind(snapshot.slug, id).first();
+        if (dup) {
+          return new Response(JSON.stringify({ error: 'slug_exists' }), {
+            status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+      }
+      await env.DB.batch([
+        ...restoreStatements(env.DB, entity, id, snapshot, !!current),
+        // `numeroEscenario` / `acto` de la revisión pueden ser de otra
+        // estructura; un escenario recreado vuelve a su acto si sigue existiendo
+        ...(entity === 'scenarios' ? renumberStatements(env.DB) : []),
+      ]);
+      return new Response(JSON.stringify({ ok: true, rev, recreated: !current, ...(report && !report.valid ? { report } : {}) }), {
         headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
       });
     }
 
-    /* ── GET /api/battles — listar reports (admin) ──────────── */
+    /* ── GET /api/battles — listar reports, filtrado y paginado (admin) ── */
     if (pathname === '/api/battles' && request.method === 'GET') {
       if (!verifyAdmin()) {
         return new Response(JSON.stringify({ error: 'Unauthorized' }), {
           status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
+      const params = new URL(request.url).searchParams;
+      const conds: string[] = [];
+      const args: unknown[] = [];
+      const status = params.get('status');
+      if (status) { conds.push('status = ?'); args.push(status); }
+      const mode = params.get('mode');
+      if (mode) { conds.push(`COALESCE(mode, 'pvp') = ?`); args.push(mode); }
+      const winner = params.get('winner');
+      if (winner === '1' || winner === '2') { conds.push('winner = ?'); args.push(Number(winner)); }
+      else if (winner === 'draw') conds.push(`status = 'finished' AND winner IS NULL`);
+      const scenario = params.get('scenario');
+      if (scenario) { conds.push('scenario_id = ?'); args.push(scenario); }
+      const player = params.get('player')?.trim();
+      if (player) {
+        conds.push(`(player1_alias LIKE ? ESCAPE '\\' OR player2_alias LIKE ? ESCAPE '\\')`);
+        const like = `%${player.replace(/[\\%_]/g, m => '\\' + m)}%`;
+        args.push(like, like);
+      }
+      const debug = params.get('debug');
+      if (debug === '0' || debug === '1') { conds.push('is_debug = ?'); args.push(Number(debug)); }
+      const from = params.get('from');
+      if (from) { conds.push('created_at >= ?'); args.push(from); }
+      const to = params.get('to');
+      if (to) { conds.push('created_at < ?'); args.push(to); }
+      const sortCols: Record<string, string> = { created: 'created_at', updated: 'updated_at', title: 'title' };
+      const sortCol = sortCols[params.get('sort') ?? 'created'] ?? 'created_at';
+      const asc = params.get('order') === 'asc';
+      // Sin `limit` ni `cursor` responde como antes: array con todas las
+      // partidas (filtradas), sin envoltorio
+      const paginated = params.has('limit') || params.has('cursor');
+      const limit = Math.min(200, Math.max(1, parseInt(params.get('limit') ?? '50', 10) || 50));
+      // Cursor keyset (valor de orden + id de desempate): estable aunque se
+      // inserten partidas nuevas mientras se pagina
+      const cursor = params.get('cursor');
+      if (cursor) {
+        const c = decodeCursor(cursor);
+        if (!c) {
+          return new Response(JSON.stringify({ error: 'Invalid cursor' }), {
+            status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        const op = asc ? '>' : '<';
+        conds.push(`(${sortCol} ${op} ? OR (${sortCol} = ? AND id ${op} ?))`);
+        args.push(c[0], c[0], c[1]);
+      }
+      const dir = asc ? 'ASC' : 'DESC';
       const rows = await env.DB.prepare(
-        `SELECT id, title, status, winner, player1_alias, player2_alias, created_at,
-                COALESCE(mode, 'pvp') AS mode,
-                (CASE WHEN events LIKE '%"kind":"debug_enabled"%' THEN 1 ELSE 0 END) AS is_debug
-         FROM battle_reports ORDER BY created_at DESC`
-      ).all<{ id: string; title: string; status: string; winner: number | null; player1_alias: string; player2_alias: string; created_at: string; mode: string; is_debug: number }>();
-      const results = rows.results.map(r => ({
+        `SELECT id, title, scenario_id, status, winner, player1_alias, player2_alias, created_at, updated_at,
+                COALESCE(mode, 'pvp') AS mode, is_debug
+         FROM battle_reports
+         ${conds.length ? `WHERE ${conds.join(' AND ')}` : ''}
+         ORDER BY ${sortCol} ${dir}, id ${dir}
+         ${paginated ? 'LIMIT ?' : ''}`
+      ).bind(...args, ...(paginated ? [limit + 1] : [])).all<{
+        id: string; title: string; scenario_id: string | null; status: string; winner: number | null;
+        player1_alias: string; player2_alias: string; created_at: string; updated_at: string;
+        mode: string; is_debug: number;
+      }>();
+      const page = paginated ? rows.results.slice(0, limit) : rows.results;
+      const last = page[page.length - 1];
+      const sortValue = (r: typeof last) =>
+        sortCol === 'title' ? r.title : sortCol === 'updated_at' ? r.updated_at : r.created_at;
+      const battles = page.map(r => ({
         id: r.id,
         title: r.title,
+        scenarioId: r.scenario_id,
         status: r.status,
         winner: r.winner,
         player1Alias: r.player1_alias,
         player2Alias: r.player2_alias,
         createdAt: r.created_at,
+        updatedAt: r.updated_at,
         isDebug: r.is_debug === 1,
         mode: r.mode,
       }));
-      return new Response(JSON.stringify(results), {
+      if (!paginated) {
+        return new Response(JSON.stringify(battles), {
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify({
+        battles,
+        nextCursor: rows.results.length > limit ? encodeCursor([sortValue(last), last.id]) : null,
+      }), {
         headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
       });
     }
@@ -1109,21 +2066,22 @@ export default {
       }
       const modeFilter = new URL(request.url).searchParams.get('mode');
       const filterByMode = modeFilter !== null && ['pvp', 'pvc', 'cvc'].includes(modeFilter);
-      const statRows = await env.DB.prepare(
-        `SELECT initial_snapshot, events, winner FROM battle_reports
-         WHERE status = 'finished'
-           AND events NOT LIKE '%"kind":"debug_enabled"%'
-           ${filterByMode ? `AND COALESCE(mode, 'pvp') = ?` : ''}`
-      ).bind(...(filterByMode ? [modeFilter] : [])).all<{ initial_snapshot: string; events: string; winner: number | null }>();
-      const modeRows = await env.DB.prepare(
-        `SELECT COALESCE(mode, 'pvp') AS m, COUNT(*) AS c FROM battle_reports
-         WHERE status = 'finished'
-           AND events NOT LIKE '%"kind":"debug_enabled"%'
-         GROUP BY m`
-      ).all<{ m: string; c: number }>();
+      // Todo sale de los agregados (battle_stats_*), mantenidos en /finish
+      const totalRows = await env.DB.prepare(
+        'SELECT mode, format, games, total_rounds, win_p1, win_p2, draw FROM battle_stats_totals'
+      ).all<{ mode: string; format: FormatKey; games: number; total_rounds: number; win_p1: number; win_p2: number; draw: number }>();
+      const roundRows = await env.DB.prepare(
+        `SELECT format, round, SUM(ended) AS ended, SUM(deaths) AS deaths, SUM(first_deaths) AS first_deaths,
+                SUM(damage_sum) AS damage_sum, SUM(damage_count) AS damage_count, SUM(bugs_added) AS bugs_added
+         FROM battle_stats_rounds
+         ${filterByMode ? 'WHERE mode = ?' : ''}
+         GROUP BY format, round`
+      ).bind(...(filterByMode ? [modeFilter] : [])).all<{
+        format: FormatKey; round: number; ended: number; deaths: number; first_deaths: number;
+        damage_sum: number; damage_count: number; bugs_added: number;
+      }>();
       const byMode: Record<string, number> = { pvp: 0, pvc: 0, cvc: 0 };
-      for (const r of modeRows.results) byMode[r.m] = r.c;
-      type FmtKey = '1v1' | '2v2';
+      for (const r of totalRows.results) byMode[r.mode] = (byMode[r.mode] ?? 0) + r.games;
       interface Acc {
         count: number; totalRounds: number;
         winP1: number; winP2: number; draw: number;
@@ -1132,7 +2090,8 @@ export default {
         damageSumByRound: number[]; damageCountByRound: number[];
         bugsAddedByRound: number[];
       }
-      const MAX = 10;
+      // Sin tope fijo de rondas: tantas como la partida más larga registrada
+      const MAX = Math.max(1, ...roundRows.results.map(r => r.round));
       const mk = (): Acc => ({
         count: 0, totalRounds: 0, winP1: 0, winP2: 0, draw: 0,
         roundDist: Array(MAX).fill(0), deathsByRound: Array(MAX).fill(0),
@@ -1140,35 +2099,24 @@ export default {
         damageSumByRound: Array(MAX).fill(0), damageCountByRound: Array(MAX).fill(0),
         bugsAddedByRound: Array(MAX).fill(0),
       });
-      const acc: Record<FmtKey, Acc> = { '1v1': mk(), '2v2': mk() };
-      for (const row of statRows.results) {
-        let snap: { bots: unknown[] };
-        let evs: Array<{ turn: number; phase: string; kind: string; payload: Record<string, unknown> }>;
-        try { snap = JSON.parse(row.initial_snapshot); evs = JSON.parse(row.events); } catch { continue; }
-        const fmt: FmtKey = (snap.bots?.length ?? 2) <= 2 ? '1v1' : '2v2';
-        const a = acc[fmt];
-        a.count++;
-        if (row.winner === 1) a.winP1++; else if (row.winner === 2) a.winP2++; else a.draw++;
-        const rounds = evs.filter(e => e.kind === 'round_ended').length;
-        a.totalRounds += rounds;
-        if (rounds >= 1 && rounds <= MAX) a.roundDist[rounds - 1]++;
-        let fd: number | null = null;
-        for (const ev of evs) {
-          if (ev.phase !== 'run') continue;
-          const r = ev.turn; if (r < 1 || r > MAX) continue;
-          if (ev.kind === 'destroyed') {
-            a.deathsByRound[r - 1]++;
-            if (fd === null || r < fd) fd = r;
-          } else if (ev.kind === 'attack_hit') {
-            const dmg = ev.payload['damage'];
-            if (typeof dmg === 'number' && dmg > 0) {
-              a.damageSumByRound[r - 1] += dmg; a.damageCountByRound[r - 1]++;
-            }
-          } else if (ev.kind === 'bug_added') {
-            a.bugsAddedByRound[r - 1]++;
-          }
-        }
-        if (fd !== null) a.firstDeathByRound[fd - 1]++;
+      const acc: Record<FormatKey, Acc> = { '1v1': mk(), '2v2': mk() };
+      for (const t of totalRows.results) {
+        if (filterByMode && t.mode !== modeFilter) continue;
+        const a = acc[t.format];
+        if (!a) continue;
+        a.count += t.games; a.totalRounds += t.total_rounds;
+        a.winP1 += t.win_p1; a.winP2 += t.win_p2; a.draw += t.draw;
+      }
+      for (const r of roundRows.results) {
+        const a = acc[r.format];
+        if (!a || r.round < 1) continue;
+        const i = r.round - 1;
+        a.roundDist[i] += r.ended;
+        a.deathsByRound[i] += r.deaths;
+        a.firstDeathByRound[i] += r.first_deaths;
+        a.damageSumByRound[i] += r.damage_sum;
+        a.damageCountByRound[i] += r.damage_count;
+        a.bugsAddedByRound[i] += r.bugs_added;
       }
       const trim = (arr: number[]) => {
         let i = arr.length - 1; while (i > 0 && arr[i] === 0) i--; return arr.slice(0, i + 1);
@@ -1186,37 +2134,181 @@ export default {
         bugsAddedByRound: trim(a.bugsAddedByRound),
       });
       return new Response(JSON.stringify({
-        total: statRows.results.length,
+        total: acc['1v1'].count + acc['2v2'].count,
         byMode,
         '1v1': finalize(acc['1v1']),
         '2v2': finalize(acc['2v2']),
       }), { headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' } });
     }
 
-    /* ── GET /api/battles/:id — obtener report completo (admin) ── */
-    const battleMatch = pathname.match(/^\/api\/battles\/([a-z0-9]+)$/);
-    if (battleMatch && request.method === 'GET') {
+    /* ── GET /api/battles/stats/functions — balance por función (admin) ── */
+    if (pathname === '/api/battles/stats/functions' && request.method === 'GET') {
       if (!verifyAdmin()) {
         return new Response(JSON.stringify({ error: 'Unauthorized' }), {
           status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      const row = await env.DB.prepare(
-        `SELECT id, title, scenario_id, list1_id, list2_id, player1_alias, player2_alias,
-                status, winner, COALESCE(mode, 'pvp') AS mode,
-                initial_snapshot, events, final_state, created_at, updated_at
-         FROM battle_reports WHERE id = ?`
-      ).bind(battleMatch[1]).first<{
-        id: string; title: string; scenario_id: string | null; list1_id: string; list2_id: string;
-        player1_alias: string; player2_alias: string; status: string; winner: number | null;
-        mode: string; initial_snapshot: string; events: string; final_state: string | null;
-        created_at: string; updated_at: string;
-      }>();
-      if (!row) {
-        return new Response(JSON.stringify({ error: 'Battle not found' }), {
+      const params = new URL(request.url).searchParams;
+      const modeFilter = params.get('mode');
+      const filterByMode = modeFilter !== null && ['pvp', 'pvc', 'cvc'].includes(modeFilter);
+      const formatFilter = params.get('format');
+      const filterByFormat = formatFilter === '1v1' || formatFilter === '2v2';
+      // Por debajo de minSample bandos con la función, los % no son fiables
+      const minSample = Math.max(1, parseInt(params.get('minSample') ?? '20', 10) || 20);
+      const conds = [...(filterByMode ? ['mode = ?'] : []), ...(filterByFormat ? ['format = ?'] : [])];
+      const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+      const whereArgs = [...(filterByMode ? [modeFilter] : []), ...(filterByFormat ? [formatFilter] : [])];
+      const totals = await env.DB.prepare(
+        `SELECT COALESCE(SUM(games), 0) AS games, COALESCE(SUM(kills), 0) AS kills FROM battle_stats_totals ${where}`
+      ).bind(...whereArgs).first<{ games: number; kills: number }>();
+      const aggRows = await env.DB.prepare(
+        `SELECT func, SUM(fielded) AS fielded, SUM(wins) AS wins, SUM(hits) AS hits,
+                SUM(damage) AS damage, SUM(kills) AS kills
+         FROM battle_stats_functions ${where} GROUP BY func`
+      ).bind(...whereArgs).all<{ func: string } & FunctionAcc>();
+      const acc = new Map(aggRows.results.map(r => [r.func, r]));
+      const games = totals?.games ?? 0;
+      const totalKills = totals?.kills ?? 0;
+      const fnRows = await env.DB.prepare(
+        'SELECT id, func_name, func_type, version FROM functions ORDER BY func_type ASC, version ASC, func_name ASC'
+      ).all<{ id: string; func_name: string; func_type: string | null; version: string }>();
+      const sides = games * 2;
+      const ratio = (n: number, d: number) => d > 0 ? Math.round(n / d * 1000) / 1000 : null;
+      const known = new Set<string>();
+      const functions = fnRows.results.map(r => {
+        const key = normalizeFuncName(r.func_name);
+        known.add(key);
+        const a = acc.get(key) ?? emptyFunctionAcc();
+        return {
+          id: r.id,
+          funcName: r.func_name,
+          funcType: r.func_type ?? 'attack',
+          version: r.version,
+          fielded: a.fielded,
+          pickRate: ratio(a.fielded, sides),
+          winRate: ratio(a.wins, a.fielded),
+          hits: a.hits,
+          avgDamage: a.hits > 0 ? Math.round(a.damage / a.hits * 10) / 10 : null,
+          kills: a.kills,
+          killShare: ratio(a.kills, totalKills),
+          underSampled: a.fielded < minSample,
+        };
+      }).sort((x, y) => (y.pickRate ?? 0) - (x.pickRate ?? 0));
+      return new Response(JSON.stringify({
+        games,
+        kills: totalKills,
+        minSample,
+        functions,
+        // Nombres usados en listas/eventos que no están en el catálogo
+        unknownFunctions: [...acc.keys()].filter(k => !known.has(k) && acc.get(k)!.fielded + acc.get(k)!.hits > 0).sort(),
+      }), { headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' } });
+    }
+
+    /* ── GET /api/battles/stats/scenarios — balance por escenario (admin) ── */
+    if (pathname === '/api/battles/stats/scenarios' && request.method === 'GET') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const modeFilter = new URL(request.url).searchParams.get('mode');
+      const filterByMode = modeFilter !== null && ['pvp', 'pvc', 'cvc'].includes(modeFilter);
+      const rows = await env.DB.prepare(
+        `SELECT c.scenario_id, s.title, json_extract(s.data, '$.numeroEscenario') AS num,
+                COUNT(*) AS games,
+                SUM(CASE WHEN c.winner = 1 THEN 1 ELSE 0 END) AS p1,
+                SUM(CASE WHEN c.winner = 2 THEN 1 ELSE 0 END) AS p2,
+                AVG(c.rounds) AS avg_rounds
+         FROM battle_stats_contrib c LEFT JOIN scenarios s ON s.id = c.scenario_id
+         ${filterByMode ? 'WHERE c.mode = ?' : ''}
+         GROUP BY c.scenario_id
+         ORDER BY num IS NULL, num ASC`
+      ).bind(...(filterByMode ? [modeFilter] : []))
+        .all<{ scenario_id: string | null; title: string | null; num: number | null; games: number; p1: number; p2: number; avg_rounds: number | null }>();
+      const r3 = (x: number) => Math.round(x * 1000) / 1000;
+      const rate = (k: number, n: number) => {
+        const ci = wilsonInterval(k, n);
+        return { count: k, rate: n > 0 ? r3(k / n) : null, ci: ci ? ci.map(r3) : null };
+      };
+      const results = rows.results.map(r => {
+        // Ventaja de asiento: sobre las partidas con ganador, el IC de la
+        // cuota de P1 no contiene el 50 %
+        const decisive = r.p1 + r.p2;
+        const p1Share = wilsonInterval(r.p1, decisive);
+        const seatBias = !p1Share ? null : p1Share[0] > 0.5 ? 'p1' : p1Share[1] < 0.5 ? 'p2' : null;
+        return {
+          scenarioId: r.scenario_id,
+          title: r.title,
+          numeroEscenario: r.num,
+          games: r.games,
+          p1: rate(r.p1, r.games),
+          p2: rate(r.p2, r.games),
+          draw: rate(r.games - decisive, r.games),
+          avgRounds: r.avg_rounds !== null ? Math.round(r.avg_rounds * 10) / 10 : 0,
+          seatBias,
+        };
+      });
+      return new Response(JSON.stringify(results), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/battles/stats/rebuild — recalcular agregados (admin) ── */
+    if (pathname === '/api/battles/stats/rebuild' && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let body: { cursor?: string | null; limit?: number };
+      try { body = await request.json(); } catch { body = {}; }
+      // Por tandas: cada partida son varias consultas a D1 y una invocación
+      // tiene un tope de subrequests. El cliente repite con el `cursor`
+      // devuelto hasta recibir null. La primera llamada (sin cursor) vacía.
+      const limit = Math.min(50, Math.max(1, Number.isInteger(body.limit) ? body.limit! : 20));
+      if (!body.cursor) {
+        await env.DB.batch([
+          env.DB.prepare('DELETE FROM battle_stats_contrib'),
+          env.DB.prepare('DELETE FROM battle_stats_totals'),
+          env.DB.prepare('DELETE FROM battle_stats_rounds'),
+          env.DB.prepare('DELETE FROM battle_stats_functions'),
+        ]);
+      }
+      const ids = await env.DB.prepare(
+        `SELECT id FROM battle_reports WHERE status = 'finished' AND id > ? ORDER BY id ASC LIMIT ?`
+      ).bind(body.cursor ?? '', limit).all<{ id: string }>();
+      for (const { id } of ids.results) await syncBattleStats(env.DB, id);
+      const cursor = ids.results.length === limit ? ids.results[ids.results.length - 1].id : null;
+      return new Response(JSON.stringify({ processed: ids.results.length, cursor }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/battles/:id — obtener report completo (admin) ── */
+    const battleMatch = pathname.match(/^\/api\/battles\/([a-z0-9]+)$/);
+    if (battleMatch && request.method === 'GET') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const row = await env.DB.prepare(
+        `SELECT id, title, scenario_id, list1_id, list2_id, player1_alias, player2_alias,
+                status, winner, COALESCE(mode, 'pvp') AS mode,
+                initial_snapshot, final_state, created_at, updated_at
+         FROM battle_reports WHERE id = ?`
+      ).bind(battleMatch[1]).first<{
+        id: string; title: string; scenario_id: string | null; list1_id: string; list2_id: string;
+        player1_alias: string; player2_alias: string; status: string; winner: number | null;
+        mode: string; initial_snapshot: string; final_state: string | null;
+        created_at: string; updated_at: string;
+      }>();
+      if (!row) {
+        return new Response(JSON.stringify({ error: 'Battle not found' }), {
           status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
+      const events = await loadBattleEvents(env.DB, row.id);
       return new Response(JSON.stringify({
         id: row.id,
         title: row.title,
@@ -1229,7 +2321,7 @@ export default {
         winner: row.winner,
         mode: row.mode,
         initialSnapshot: JSON.parse(row.initial_snapshot),
-        events: JSON.parse(row.events),
+        events: events.map(({ seq: _seq, ...ev }) => ev),
         finalState: row.final_state ? JSON.parse(row.final_state) : null,
         createdAt: row.created_at,
         updatedAt: row.updated_at,
@@ -1238,6 +2330,67 @@ export default {
       });
     }
 
+    /* ── GET /api/battles/:id/state?at= — estado reconstruido (admin) ── */
+    const battleStateMatch = pathname.match(/^\/api\/battles\/([a-z0-9]+)\/state$/);
+    if (battleStateMatch && request.method === 'GET') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // at=<n> → tras los n primeros eventos · at=turn:<n> → al cerrar el turno n
+      const at = new URL(request.url).searchParams.get('at') ?? '';
+      const atMatch = at.match(/^(turn:)?(\d+)$/);
+      if (at && !atMatch) {
+        return new Response(JSON.stringify({ error: 'at must be <eventIndex> or turn:<n>' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const row = await env.DB.prepare(
+        'SELECT id, initial_snapshot FROM battle_reports WHERE id = ?'
+      ).bind(battleStateMatch[1]).first<{ id: string; initial_snapshot: string }>();
+      if (!row) {
+        return new Response(JSON.stringify({ error: 'Battle not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const byTurn = !!atMatch?.[1];
+      const n = atMatch ? parseInt(atMatch[2], 10) : undefined;
+      let events = await loadBattleEvents(env.DB, row.id, 0, byTurn ? undefined : n);
+      if (byTurn) {
+        const cut = events.findIndex(e => typeof e.turn === 'number' && e.turn > n!);
+        if (cut >= 0) events = events.slice(0, cut);
+      }
+      const total = await countBattleEvents(env.DB, row.id);
+      const state = foldEvents(JSON.parse(row.initial_snapshot), events);
+      return new Response(JSON.stringify({ ...state, total }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/battles/:id/export — fichero .fwreplay (admin) ── */
+    const battleExportMatch = pathname.match(/^\/api\/battles\/([a-z0-9]+)\/export$/);
+    if (battleExportMatch && request.method === 'GET') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const file = await buildReplayFile(env.DB, battleExportMatch[1]);
+      if (!file) {
+        return new Response(JSON.stringify({ error: 'Battle not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify(file), {
+        headers: {
+          ...CORS_HEADERS,
+          'Content-Type': 'application/json',
+          'Content-Disposition': `attachment; filename="battle-${file.battle.id}.fwreplay"`,
+        },
+      });
+    }
+
     /* ── POST /api/battles — crear report (admin) ──────────── */
     if (pathname === '/api/battles' && request.method === 'POST') {
       if (!verifyAdmin()) {
@@ -1278,15 +2431,83 @@ export default {
       });
     }
 
-    /* ── PATCH /api/battles/:id/events — append-only (admin) ── */
+    /* ── POST /api/battles/import — importar .fwreplay (admin) ── */
+    if (pathname === '/api/battles/import' && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const contentLength = parseInt(request.headers.get('content-length') ?? '0');
+      if (contentLength > MAX_REPLAY_FILE) {
+        return new Response(JSON.stringify({ error: 'Payload too large' }), {
+          status: 413, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let body: unknown;
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const errors = validateReplayFile(body);
+      if (errors.length) {
+        return new Response(JSON.stringify({ error: 'invalid_replay', details: errors }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const file = body as ReplayFile;
+      const result = await importReplayFile(env.DB, file, generateId());
+      if (file.battle.status === 'finished') {
+        refreshStats(env, ctx, result.id);
+        refreshRatings(env, ctx, result.id);
+      }
+      return new Response(JSON.stringify(result), {
+        status: 201, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/battles/:id/events?since=&limit= — log paginado (admin) ── */
     const battleEventsMatch = pathname.match(/^\/api\/battles\/([a-z0-9]+)\/events$/);
+    if (battleEventsMatch && request.method === 'GET') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const params = new URL(request.url).searchParams;
+      // `since` = nº de eventos que el cliente ya tiene (devuelve seq >= since)
+      const since = Math.max(0, parseInt(params.get('since') ?? '0', 10) || 0);
+      const limit = Math.min(2000, Math.max(1, parseInt(params.get('limit') ?? '500', 10) || 500));
+      const row = await env.DB.prepare(
+        'SELECT id FROM battle_reports WHERE id = ?'
+      ).bind(battleEventsMatch[1]).first<{ id: string }>();
+      if (!row) {
+        return new Response(JSON.stringify({ error: 'Battle not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Se pide uno de más para saber si queda otra página sin un COUNT aparte
+      const events = await loadBattleEvents(env.DB, row.id, since, limit + 1);
+      const hasMore = events.length > limit;
+      const page = hasMore ? events.slice(0, limit) : events;
+      return new Response(JSON.stringify({
+        events: page,
+        next: page.length ? page[page.length - 1].seq + 1 : since,
+        hasMore,
+      }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── PATCH /api/battles/:id/events — append-only (admin) ── */
     if (battleEventsMatch && request.method === 'PATCH') {
       if (!verifyAdmin()) {
         return new Response(JSON.stringify({ error: 'Unauthorized' }), {
           status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      let body: { events: unknown[] };
+      let body: { events: BattleEvent[]; expectedCount?: number; idempotencyKey?: string };
       try { body = await request.json(); } catch {
         return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
           status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
@@ -1297,21 +2518,97 @@ export default {
           status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
+      if (!body.events.every(isBattleEvent)) {
+        return new Response(JSON.stringify({ error: 'each event needs a string kind' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const key = body.idempotencyKey;
+      if (!isExpectedCount(body.expectedCount)
+          || (key !== undefined && (typeof key !== 'string' || !key || key.length > 128))) {
+        return new Response(JSON.stringify({ error: 'expectedCount must be a non-negative integer; idempotencyKey a string ≤128' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
       const row = await env.DB.prepare(
-        'SELECT events FROM battle_reports WHERE id = ?'
-      ).bind(battleEventsMatch[1]).first<{ events: string }>();
+        'SELECT id, status FROM battle_reports WHERE id = ?'
+      ).bind(battleEventsMatch[1]).first<{ id: string; status: string }>();
       if (!row) {
         return new Response(JSON.stringify({ error: 'Battle not found' }), {
           status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      const existing = JSON.parse(row.events) as unknown[];
-      const merged = [...existing, ...body.events];
+      // Reintento de un lote ya aceptado: se ignora y se responde como entonces
+      const replayed = async () => key !== undefined && !!await env.DB.prepare(
+        'SELECT 1 FROM battle_event_batches WHERE battle_id = ? AND idempotency_key = ?'
+      ).bind(row.id, key).first();
+      if (await replayed()) {
+        const count = await countBattleEvents(env.DB, row.id);
+        return new Response(JSON.stringify({ ok: true, count, replayed: true }), {
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Abandonada por el cron: hay que reabrirla (POST /reopen) antes de seguir
+      if (row.status === 'abandoned') {
+        return new Response(JSON.stringify({ error: 'battle_abandoned' }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const current = await countBattleEvents(env.DB, row.id);
+      if (body.expectedCount !== undefined && body.expectedCount !== current) {
+        return new Response(JSON.stringify({ error: 'stale_count', count: current }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
       const now = new Date().toISOString();
-      await env.DB.prepare(
-        'UPDATE battle_reports SET events = ?, updated_at = ? WHERE id = ?'
-      ).bind(JSON.stringify(merged), now, battleEventsMatch[1]).run();
-      return new Response(JSON.stringify({ ok: true, count: merged.length }), {
+      let from: number;
+      try {
+        // Todo en un batch (transacción): si otro escritor se cuela entre la
+        // comprobación y el insert, chocan las PRIMARY KEY y no se escribe nada.
+        // Sin `expectedCount` la posición del lote solo se sabe dentro del
+        // batch: `first_seq` y `from` salen de ahí, no de `current`
+        const results = await env.DB.batch([
+          ...(key !== undefined ? [env.DB.prepare(
+            `INSERT INTO battle_event_batches (battle_id, idempotency_key, first_seq, count, created_at)
+             SELECT ?, ?, COALESCE(MAX(seq), -1) + 1, ?, ? FROM battle_events WHERE battle_id = ?`
+          ).bind(row.id, key, body.events.length, now, row.id)] : []),
+          ...appendBattleEventsStatements(env.DB, row.id, body.events, body.expectedCount),
+          env.DB.prepare(
+            `UPDATE battle_reports SET updated_at = ?, is_debug = MAX(is_debug, ?) WHERE id = ?`
+          ).bind(now, body.events.some(e => e.kind === 'debug_enabled') ? 1 : 0, row.id),
+          env.DB.prepare('SELECT COALESCE(MAX(seq), -1) + 1 AS next FROM battle_events WHERE battle_id = ?').bind(row.id),
+        ]);
+        const next = (results[results.length - 1].results[0] as { next: number }).next;
+        from = next - body.events.length;
+      } catch (e) {
+        const count = await countBattleEvents(env.DB, row.id);
+        if (await replayed()) {
+          return new Response(JSON.stringify({ ok: true, count, replayed: true }), {
+            headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        if (body.expectedCount !== undefined && body.expectedCount !== count) {
+          return new Response(JSON.stringify({ error: 'stale_count', count }), {
+            status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        throw e;
+      }
+      const count = await countBattleEvents(env.DB, row.id);
+      // En una partida ya terminada el log nuevo cambia sus estadísticas (y
+      // un `debug_enabled` la saca de los ratings)
+      if (row.status === 'finished') {
+        refreshStats(env, ctx, row.id);
+        refreshRatings(env, ctx, row.id);
+      }
+      broadcastLive(env, ctx, row.id, {
+        type: 'events',
+        from,
+        events: body.events.map((ev, i) => ({
+          seq: from + i, turn: ev.turn, phase: ev.phase, kind: ev.kind, payload: ev.payload ?? {},
+        })),
+      });
+      return new Response(JSON.stringify({ ok: true, count }), {
         headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
       });
     }
@@ -1324,7 +2621,7 @@ export default {
           status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      let body: { keepFirst: number };
+      let body: { keepFirst: number; expectedCount?: number };
       try { body = await request.json(); } catch {
         return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
           status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
@@ -1335,21 +2632,68 @@ export default {
           status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
+      if (!isExpectedCount(body.expectedCount)) {
+        return new Response(JSON.stringify({ error: 'expectedCount must be a non-negative integer' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
       const row = await env.DB.prepare(
-        'SELECT events FROM battle_reports WHERE id = ?'
-      ).bind(battleTruncateMatch[1]).first<{ events: string }>();
+        'SELECT id, status FROM battle_reports WHERE id = ?'
+      ).bind(battleTruncateMatch[1]).first<{ id: string; status: string }>();
       if (!row) {
         return new Response(JSON.stringify({ error: 'Battle not found' }), {
           status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      const existing = JSON.parse(row.events) as unknown[];
-      const truncated = existing.slice(0, body.keepFirst);
+      // Igual que el append: una abandonada se reabre (POST /reopen) antes
+      if (row.status === 'abandoned') {
+        return new Response(JSON.stringify({ error: 'battle_abandoned' }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const current = await countBattleEvents(env.DB, row.id);
+      if (body.expectedCount !== undefined && body.expectedCount !== current) {
+        return new Response(JSON.stringify({ error: 'stale_count', count: current }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const keepFirst = Math.floor(body.keepFirst);
       const now = new Date().toISOString();
-      await env.DB.prepare(
-        'UPDATE battle_reports SET events = ?, updated_at = ? WHERE id = ?'
-      ).bind(JSON.stringify(truncated), now, battleTruncateMatch[1]).run();
-      return new Response(JSON.stringify({ ok: true, count: truncated.length }), {
+      // La precondición se repite dentro de cada sentencia: un append que se
+      // cuele tras la comprobación anterior anula el rewind en vez de perderse
+      const guard = body.expectedCount !== undefined
+        ? 'AND (SELECT COUNT(*) FROM battle_events WHERE battle_id = ?) = ?' : '';
+      const guardArgs = body.expectedCount !== undefined ? [row.id, body.expectedCount] : [];
+      await env.DB.batch([
+        // Va primero para ver los eventos que se van a borrar: solo toca la
+        // partida si hay algo que rebobinar y la precondición se cumple. El
+        // rewind puede llevarse el `debug_enabled`
+        env.DB.prepare(
+          `UPDATE battle_reports SET updated_at = ?,
+             is_debug = EXISTS (SELECT 1 FROM battle_events e
+                                WHERE e.battle_id = battle_reports.id AND e.seq < ? AND e.kind = 'debug_enabled')
+           WHERE id = ?
+             AND EXISTS (SELECT 1 FROM battle_events WHERE battle_id = ? AND seq >= ?) ${guard}`
+        ).bind(now, keepFirst, row.id, row.id, keepFirst, ...guardArgs),
+        // Un lote que cruza `keepFirst` ya no está entero: su reintento debe
+        // volver a escribirse
+        env.DB.prepare(`DELETE FROM battle_event_batches WHERE battle_id = ? AND first_seq + count > ? ${guard}`)
+          .bind(row.id, keepFirst, ...guardArgs),
+        env.DB.prepare(`DELETE FROM battle_events WHERE battle_id = ? AND seq >= ? ${guard}`)
+          .bind(row.id, keepFirst, ...guardArgs),
+      ]);
+      const count = await countBattleEvents(env.DB, row.id);
+      if (body.expectedCount !== undefined && count !== Math.min(keepFirst, body.expectedCount)) {
+        return new Response(JSON.stringify({ error: 'stale_count', count }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (row.status === 'finished') {
+        refreshStats(env, ctx, row.id);
+        refreshRatings(env, ctx, row.id);
+      }
+      broadcastLive(env, ctx, row.id, { type: 'rewind', count });
+      return new Response(JSON.stringify({ ok: true, count }), {
         headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
       });
     }
@@ -1362,32 +2706,133 @@ export default {
           status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      let body: { winner: 1 | 2 | null; finalState: unknown };
+      let body: { winner: 1 | 2 | null; finalState: unknown; expectedCount?: number };
       try { body = await request.json(); } catch {
         return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
           status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
+      if (!isExpectedCount(body.expectedCount)) {
+        return new Response(JSON.stringify({ error: 'expectedCount must be a non-negative integer' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
       const now = new Date().toISOString();
       const result = await env.DB.prepare(
-        `UPDATE battle_reports SET status = 'finished', winner = ?, final_state = ?, updated_at = ?
-         WHERE id = ?`
+        `UPDATE battle_reports SET status = 'finished', winner = ?, final_state = ?, updated_at = ?,
+           finished_at = COALESCE(finished_at, ?)
+         WHERE id = ? AND status != 'abandoned'
+           AND (? IS NULL OR (SELECT COUNT(*) FROM battle_events WHERE battle_id = battle_reports.id) = ?)`
       ).bind(
         body.winner ?? null,
         body.finalState ? JSON.stringify(body.finalState) : null,
         now,
+        now,
         battleFinishMatch[1],
+        body.expectedCount ?? null,
+        body.expectedCount ?? null,
       ).run();
       if (!result.meta.changes) {
+        const exists = await env.DB.prepare('SELECT status FROM battle_reports WHERE id = ?')
+          .bind(battleFinishMatch[1]).first<{ status: string }>();
+        // Abandonada por el cron: hay que reabrirla (POST /reopen) antes de cerrarla
+        if (exists?.status === 'abandoned') {
+          return new Response(JSON.stringify({ error: 'battle_abandoned' }), {
+            status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        if (exists) {
+          const count = await countBattleEvents(env.DB, battleFinishMatch[1]);
+          return new Response(JSON.stringify({ error: 'stale_count', count }), {
+            status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
         return new Response(JSON.stringify({ error: 'Battle not found' }), {
           status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
+      refreshStats(env, ctx, battleFinishMatch[1]);
+      refreshRatings(env, ctx, battleFinishMatch[1]);
+      broadcastLive(env, ctx, battleFinishMatch[1], {
+        type: 'finished', winner: body.winner ?? null, finalState: body.finalState ?? null,
+      });
+      return new Response(JSON.stringify({ ok: true }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/battles/:id/reopen — reabrir partida abandonada (admin) ── */
+    const battleReopenMatch = pathname.match(/^\/api\/battles\/([a-z0-9]+)\/reopen$/);
+    if (battleReopenMatch && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // updated_at = ahora: si no, el siguiente cron la volvería a abandonar
+      const result = await env.DB.prepare(
+        `UPDATE battle_reports SET status = 'in_progress', updated_at = ?
+         WHERE id = ? AND status = 'abandoned'`
+      ).bind(new Date().toISOString(), battleReopenMatch[1]).run();
+      if (!result.meta.changes) {
+        const row = await env.DB.prepare('SELECT status FROM battle_reports WHERE id = ?')
+          .bind(battleReopenMatch[1]).first<{ status: string }>();
+        return row
+          ? new Response(JSON.stringify({ error: 'not_abandoned', status: row.status }), {
+            status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          })
+          : new Response(JSON.stringify({ error: 'Battle not found' }), {
+            status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+      }
       return new Response(JSON.stringify({ ok: true }), {
         headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
       });
     }
 
+    /* ── POST /api/battles/:id/live/ticket — ticket para el WebSocket (admin) ── */
+    const battleLiveTicketMatch = pathname.match(/^\/api\/battles\/([a-z0-9]+)\/live\/ticket$/);
+    if (battleLiveTicketMatch && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const battleId = battleLiveTicketMatch[1];
+      const exists = await env.DB.prepare('SELECT 1 FROM battle_reports WHERE id = ?').bind(battleId).first();
+      if (!exists) {
+        return new Response(JSON.stringify({ error: 'Battle not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify(await signLiveTicket(env.ADMIN_PASSWORD, battleId)), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+      });
+    }
+
+    /* ── GET /api/battles/:id/live — espectadores por WebSocket (admin) ── */
+    const battleLiveMatch = pathname.match(/^\/api\/battles\/([a-z0-9]+)\/live$/);
+    if (battleLiveMatch && request.method === 'GET') {
+      // El navegador no deja poner cabeceras en un WebSocket: en vez de la
+      // contraseña va por query un ticket de POST …/live/ticket
+      const ticket = new URL(request.url).searchParams.get('ticket');
+      const allowed = verifyAdmin()
+        || (!!ticket && !!env.ADMIN_PASSWORD && await verifyLiveTicket(env.ADMIN_PASSWORD, battleLiveMatch[1], ticket));
+      if (!allowed) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (request.headers.get('Upgrade') !== 'websocket') {
+        return new Response(JSON.stringify({ error: 'Expected WebSocket upgrade' }), {
+          status: 426, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const battleId = battleLiveMatch[1];
+      const stub = env.BATTLE_LIVE.get(env.BATTLE_LIVE.idFromName(battleId));
+      return stub.fetch(new Request(`https://live/?battle=${battleId}`, request));
+    }
+
     /* ── DELETE /api/battles/:id — borrar report (admin) ──── */
     if (battleMatch && request.method === 'DELETE') {
       if (!verifyAdmin()) {
@@ -1395,12 +2840,1050 @@ export default {
           status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
         });
       }
-      await env.DB.prepare('DELETE FROM battle_reports WHERE id = ?').bind(battleMatch[1]).run();
+      await env.DB.batch([
+        env.DB.prepare('DELETE FROM battle_shares WHERE battle_id = ?').bind(battleMatch[1]),
+        env.DB.prepare('DELETE FROM battle_event_batches WHERE battle_id = ?').bind(battleMatch[1]),
+        env.DB.prepare('DELETE FROM battle_events WHERE battle_id = ?').bind(battleMatch[1]),
+        env.DB.prepare('DELETE FROM battle_reports WHERE id = ?').bind(battleMatch[1]),
+      ]);
+      refreshStats(env, ctx, battleMatch[1]);
+      refreshRatings(env, ctx, battleMatch[1]);
       return new Response(JSON.stringify({ ok: true }), {
         headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
       });
     }
 
-    return new Response('Not found', { status: 404 });
+    /* ══ REPLAYS PÚBLICOS ══════════════════════════════════════ */
+
+    /* ── POST /api/replays — crear enlace de replay (admin) ───── */
+    if (pathname === '/api/replays' && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let body: { battleId: string; anonymize?: boolean };
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const battle = await env.DB.prepare('SELECT status FROM battle_reports WHERE id = ?')
+        .bind(body.battleId ?? '').first<{ status: string }>();
+      if (!battle) {
+        return new Response(JSON.stringify({ error: 'Battle not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (battle.status !== 'finished') {
+        return new Response(JSON.stringify({ error: 'battle_not_finished' }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const token = generateId(16);
+      await env.DB.prepare(
+        'INSERT INTO battle_shares (token, battle_id, anonymize, created_at) VALUES (?, ?, ?, ?)'
+      ).bind(token, body.battleId, body.anonymize ? 1 : 0, new Date().toISOString()).run();
+      return new Response(JSON.stringify({ token, url: `/api/replays/${token}` }), {
+        status: 201, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/replays — enlaces activos (admin) ────────────── */
+    if (pathname === '/api/replays' && request.method === 'GET') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const rows = await env.DB.prepare(
+        `SELECT s.token, s.battle_id, s.anonymize, s.created_at, b.title
+         FROM battle_shares s JOIN battle_reports b ON b.id = s.battle_id
+         ORDER BY s.created_at DESC`
+      ).all<{ token: string; battle_id: string; anonymize: number; created_at: string; title: string }>();
+      const results = rows.results.map(r => ({
+        token: r.token,
+        url: `/api/replays/${r.token}`,
+        battleId: r.battle_id,
+        title: r.title,
+        anonymize: r.anonymize === 1,
+        createdAt: r.created_at,
+      }));
+      return new Response(JSON.stringify(results), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/replays/:token — replay saneado (PÚBLICO) ─────── */
+    const replayMatch = pathname.match(/^\/api\/replays\/([a-z0-9]+)$/);
+    if (replayMatch && request.method === 'GET') {
+      const row = await env.DB.prepare(
+        `SELECT s.anonymize, b.id, b.title, b.scenario_id, b.player1_alias, b.player2_alias,
+                b.winner, COALESCE(b.mode, 'pvp') AS mode, b.initial_snapshot, b.final_state, b.created_at
+         FROM battle_shares s JOIN battle_reports b ON b.id = s.battle_id
+         WHERE s.token = ? AND b.status = 'finished'`
+      ).bind(replayMatch[1]).first<{
+        anonymize: number; id: string; title: string; scenario_id: string | null;
+        player1_alias: string; player2_alias: string; winner: number | null; mode: string;
+        initial_snapshot: string; final_state: string | null; created_at: string;
+      }>();
+      if (!row) {
+        return new Response(JSON.stringify({ error: 'Replay not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Fuera los eventos de depuración (debug_enabled, debug_rewind…)
+      const events = (await loadBattleEvents(env.DB, row.id))
+        .filter(e => !e.kind.startsWith('debug_'))
+        .map(({ seq: _seq, ...ev }) => ev);
+      const aliases = new Map<string, string>();
+      if (row.anonymize) {
+        if (row.player1_alias) aliases.set(row.player1_alias, 'Jugador 1');
+        if (row.player2_alias) aliases.set(row.player2_alias, 'Jugador 2');
+      }
+      const replay = {
+        title: aliases.size ? replaceAliasesInText(row.title, aliases) : row.title,
+        scenarioId: row.scenario_id,
+        player1Alias: row.player1_alias,
+        player2Alias: row.player2_alias,
+        winner: row.winner,
+        mode: row.mode,
+        initialSnapshot: JSON.parse(row.initial_snapshot),
+        events,
+        finalState: row.final_state ? JSON.parse(row.final_state) : null,
+        createdAt: row.created_at,
+      };
+      return new Response(JSON.stringify(aliases.size ? replaceStrings(replay, aliases) : replay), {
+        headers: {
+          ...CORS_HEADERS,
+          'Content-Type': 'application/json',
+          // Revocable: caché corta, nada de immutable
+          'Cache-Control': 'public, max-age=300',
+        },
+      });
+    }
+
+    /* ── DELETE /api/replays/:token — revocar enlace (admin) ────── */
+    if (replayMatch && request.method === 'DELETE') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      await env.DB.prepare('DELETE FROM battle_shares WHERE token = ?').bind(replayMatch[1]).run();
+      return new Response(JSON.stringify({ ok: true }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ══ LEADERBOARD ══════════════════════════════════════════ */
+
+    /* ── GET /api/leaderboard?format=&from=&to= — clasificación (PÚBLICO) ── */
+    if (pathname === '/api/leaderboard' && request.method === 'GET') {
+      const params = new URL(request.url).searchParams;
+      const format = params.get('format') ?? '1v1';
+      if (format !== '1v1' && format !== '2v2') {
+        return new Response(JSON.stringify({ error: 'format must be 1v1 or 2v2' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Ventana [from, to): cuenta solo las partidas jugadas dentro y el
+      // rating es el que tenía cada jugador al acabar la ventana
+      const from = params.get('from') ?? '';
+      const to = params.get('to') ?? '9999';
+      const minGames = Math.max(1, parseInt(params.get('minGames') ?? '1', 10) || 1);
+      const limit = Math.min(200, Math.max(1, parseInt(params.get('limit') ?? '50', 10) || 50));
+      const rows = await env.DB.prepare(
+        `SELECT player, alias, rating_after AS rating, games, wins, draws, played_at
+         FROM (
+           SELECT player, alias, rating_after, played_at,
+                  ROW_NUMBER() OVER (PARTITION BY player ORDER BY played_at DESC, battle_id DESC) AS rn,
+                  COUNT(*) OVER (PARTITION BY player) AS games,
+                  SUM(result = 1) OVER (PARTITION BY player) AS wins,
+                  SUM(result = 0.5) OVER (PARTITION BY player) AS draws
+           FROM player_rating_history
+           WHERE format = ? AND played_at >= ? AND played_at < ?
+         )
+         WHERE rn = 1 AND games >= ?
+         ORDER BY rating DESC, games DESC
+         LIMIT ?`
+      ).bind(format, from, to, minGames, limit).all<{
+        player: string; alias: string; rating: number; games: number; wins: number; draws: number; played_at: string;
+      }>();
+      const players = rows.results.map((r, i) => ({
+        rank: i + 1,
+        player: r.player,
+        alias: r.alias,
+        rating: Math.round(r.rating),
+        games: r.games,
+        wins: r.wins,
+        draws: r.draws,
+        losses: r.games - r.wins - r.draws,
+        lastPlayed: r.played_at,
+      }));
+      return new Response(JSON.stringify({ format, from: from || null, to: params.get('to'), players }), {
+        headers: {
+          ...CORS_HEADERS,
+          'Content-Type': 'application/json',
+          'Cache-Control': 'public, max-age=300',
+        },
+      });
+    }
+
+    /* ── GET /api/leaderboard/players/:alias — historial de un jugador (PÚBLICO) ── */
+    const leaderboardPlayerMatch = pathname.match(/^\/api\/leaderboard\/players\/([^/]+)$/);
+    if (leaderboardPlayerMatch && request.method === 'GET') {
+      let alias: string;
+      try { alias = decodeURIComponent(leaderboardPlayerMatch[1]); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid alias' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const player = await resolvePlayer(env.DB, alias);
+      const format = new URL(request.url).searchParams.get('format');
+      const rows = await env.DB.prepare(
+        `SELECT h.battle_id, h.alias, h.format, h.opponent, o.alias AS opponent_alias,
+                h.result, h.rating_before, h.rating_after, h.played_at
+         FROM player_rating_history h
+         JOIN player_rating_history o ON o.battle_id = h.battle_id AND o.player = h.opponent
+         WHERE h.player = ? ${format ? 'AND h.format = ?' : ''}
+         ORDER BY h.played_at DESC, h.battle_id DESC
+         LIMIT 500`
+      ).bind(player, ...(format ? [format] : [])).all<{
+        battle_id: string; alias: string; format: string; opponent: string; opponent_alias: string;
+        result: number; rating_before: number; rating_after: number; played_at: string;
+      }>();
+      if (!rows.results.length) {
+        return new Response(JSON.stringify({ error: 'Player not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // La primera fila de cada formato es la más reciente → rating actual
+      const ratings: Record<string, { rating: number; games: number }> = {};
+      for (const r of rows.results) {
+        if (!ratings[r.format]) ratings[r.format] = { rating: Math.round(r.rating_after), games: 0 };
+        ratings[r.format].games++;
+      }
+      return new Response(JSON.stringify({
+        player,
+        aliases: [...new Set(rows.results.map(r => r.alias))],
+        ratings,
+        history: rows.results.map(r => ({
+          battleId: r.battle_id,
+          format: r.format,
+          opponent: r.opponent,
+          opponentAlias: r.opponent_alias,
+          result: r.result,
+          ratingBefore: Math.round(r.rating_before),
+          ratingAfter: Math.round(r.rating_after),
+          playedAt: r.played_at,
+        })),
+      }), {
+        headers: {
+          ...CORS_HEADERS,
+          'Content-Type': 'application/json',
+          'Cache-Control': 'public, max-age=300',
+        },
+      });
+    }
+
+    /* ── POST /api/leaderboard/merge — fusionar alias del mismo jugador (admin) ── */
+    if (pathname === '/api/leaderboard/merge' && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let body: { from: string; into: string };
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (typeof body.from !== 'string' || !body.from.trim() || typeof body.into !== 'string' || !body.into.trim()) {
+        return new Response(JSON.stringify({ error: 'Missing from or into' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (!await mergePlayers(env.DB, body.from, body.into)) {
+        return new Response(JSON.stringify({ error: 'same_player' }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify({ ok: true, player: await resolvePlayer(env.DB, body.into) }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/leaderboard/rebuild — recalcular todos los ratings (admin) ── */
+    if (pathname === '/api/leaderboard/rebuild' && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const rated = await recomputeRatings(env.DB, true);
+      return new Response(JSON.stringify({ ok: true, rated }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ══ TORNEOS ═══════════════════════════════════════════════ */
+
+    /* ── GET /api/tournaments — listado (PÚBLICO) ─────────────── */
+    if (pathname === '/api/tournaments' && request.method === 'GET') {
+      const rows = await env.DB.prepare(
+        `SELECT t.id, t.name, t.status, t.rounds, t.current_round, t.created_at,
+                (SELECT COUNT(*) FROM tournament_players p WHERE p.tournament_id = t.id) AS players
+         FROM tournaments t ORDER BY t.created_at DESC`
+      ).all<{ id: string; name: string; status: string; rounds: number | null; current_round: number; created_at: string; players: number }>();
+      return new Response(JSON.stringify(rows.results.map(r => ({
+        id: r.id, name: r.name, status: r.status, rounds: r.rounds, currentRound: r.current_round,
+        players: r.players, createdAt: r.created_at,
+      }))), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/tournaments — crear torneo (admin) ─────────── */
+    if (pathname === '/api/tournaments' && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let body: { name: string; rounds?: number | null; budget?: number | null };
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      // `rounds` (opcional) limita las rondas; `budget` (opcional) exige que
+      // las listas inscritas sean legales con ese presupuesto
+      const positive = (v: unknown) => v == null || (Number.isInteger(v) && (v as number) > 0);
+      if (!name || name.length > 120 || !positive(body.rounds) || !positive(body.budget)) {
+        return new Response(JSON.stringify({ error: 'Missing name or invalid rounds/budget' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const id = generateId();
+      const now = new Date().toISOString();
+      await env.DB.prepare(
+        `INSERT INTO tournaments (id, name, status, rounds, budget, current_round, created_at, updated_at)
+         VALUES (?, ?, 'registration', ?, ?, 0, ?, ?)`
+      ).bind(id, name, body.rounds ?? null, body.budget ?? null, now, now).run();
+      return new Response(JSON.stringify({ id }), {
+        status: 201, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/tournaments/:id — inscritos y mesas (PÚBLICO) ── */
+    const tournamentMatch = pathname.match(/^\/api\/tournaments\/([a-z0-9]+)$/);
+    if (tournamentMatch && request.method === 'GET') {
+      const t = await loadTournament(env.DB, tournamentMatch[1]);
+      if (!t) {
+        return new Response(JSON.stringify({ error: 'Tournament not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const pairings: { round: number; tables: unknown[] }[] = [];
+      for (const m of t.matches) {
+        if (pairings[pairings.length - 1]?.round !== m.round) pairings.push({ round: m.round, tables: [] });
+        pairings[pairings.length - 1].tables.push({
+          table: m.table_no, player1: m.player1, player2: m.player2,
+          winner: m.winner, battleId: m.battle_id, reportedAt: m.reported_at,
+        });
+      }
+      return new Response(JSON.stringify({
+        id: t.tournament.id,
+        name: t.tournament.name,
+        status: t.tournament.status,
+        rounds: t.tournament.rounds,
+        budget: t.tournament.budget,
+        currentRound: t.tournament.current_round,
+        createdAt: t.tournament.created_at,
+        updatedAt: t.tournament.updated_at,
+        players: t.players.map(p => ({
+          player: p.player, alias: p.alias, listId: p.list_id,
+          droppedRound: p.dropped_round, registeredAt: p.registered_at,
+        })),
+        pairings,
+      }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── DELETE /api/tournaments/:id — borrar torneo (admin) ──── */
+    if (tournamentMatch && request.method === 'DELETE') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      await env.DB.batch([
+        env.DB.prepare('DELETE FROM tournament_matches WHERE tournament_id = ?').bind(tournamentMatch[1]),
+        env.DB.prepare('DELETE FROM tournament_players WHERE tournament_id = ?').bind(tournamentMatch[1]),
+        env.DB.prepare('DELETE FROM tournaments WHERE id = ?').bind(tournamentMatch[1]),
+      ]);
+      return new Response(JSON.stringify({ ok: true }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/tournaments/:id/standings — clasificación (PÚBLICO) ── */
+    const tournamentStandingsMatch = pathname.match(/^\/api\/tournaments\/([a-z0-9]+)\/standings$/);
+    if (tournamentStandingsMatch && request.method === 'GET') {
+      const t = await loadTournament(env.DB, tournamentStandingsMatch[1]);
+      if (!t) {
+        return new Response(JSON.stringify({ error: 'Tournament not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify({
+        id: t.tournament.id,
+        status: t.tournament.status,
+        currentRound: t.tournament.current_round,
+        standings: computeStandings(t.players, t.matches),
+      }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/tournaments/:id/players — inscribir una lista (PÚBLICO) ── */
+    const tournamentPlayersMatch = pathname.match(/^\/api\/tournaments\/([a-z0-9]+)\/players$/);
+    if (tournamentPlayersMatch && request.method === 'POST') {
+      let body: { alias: string; listId: string; registrationToken?: string };
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const alias = typeof body.alias === 'string' ? body.alias.trim() : '';
+      if (!alias || alias.length > 80 || typeof body.listId !== 'string' || !body.listId) {
+        return new Response(JSON.stringify({ error: 'Missing alias or listId' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const tournament = await env.DB.prepare('SELECT * FROM tournaments WHERE id = ?')
+        .bind(tournamentPlayersMatch[1]).first<TournamentRow>();
+      if (!tournament) {
+        return new Response(JSON.stringify({ error: 'Tournament not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const player = await resolvePlayer(env.DB, alias);
+      const listId = await resolveListId(env.DB, body.listId);
+      const current = await env.DB.prepare(
+        'SELECT list_id, token_hash FROM tournament_players WHERE tournament_id = ? AND player = ?'
+      ).bind(tournament.id, player).first<{ list_id: string; token_hash: string | null }>();
+      // Empezado el torneo no entra nadie más y las listas ya no se cambian
+      if (tournament.status !== 'registration') {
+        return new Response(JSON.stringify({
+          error: current && current.list_id !== listId ? 'list_locked' : 'registration_closed',
+        }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // El alias ya inscrito solo lo cambia quien lo inscribió (con el token
+      // que recibió entonces) o un admin
+      if (current && !verifyAdmin() && !(current.token_hash && typeof body.registrationToken === 'string'
+          && await registrationTokenHash(body.registrationToken) === current.token_hash)) {
+        return new Response(JSON.stringify({ error: 'alias_taken' }), {
+          status: 403, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const list = await env.DB.prepare('SELECT data FROM lists WHERE id = ?').bind(listId).first<{ data: string }>();
+      if (!list) {
+        return new Response(JSON.stringify({ error: 'List not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (tournament.budget !== null) {
+        const report = await checkListLegality(env.DB, JSON.parse(list.data), tournament.budget);
+        if (!report.legal) {
+          return new Response(JSON.stringify({ error: 'illegal_list', report }), {
+            status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+      }
+      // Volver a inscribirse durante la inscripción cambia la lista
+      if (current) {
+        await env.DB.prepare(
+          'UPDATE tournament_players SET alias = ?, list_id = ? WHERE tournament_id = ? AND player = ?'
+        ).bind(alias, listId, tournament.id, player).run();
+        return new Response(JSON.stringify({ player, listId }), {
+          headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // El token solo se devuelve aquí; se guarda su hash
+      const registrationToken = generateId(16);
+      const now = new Date().toISOString();
+      const inserted = await env.DB.prepare(
+        `INSERT INTO tournament_players (tournament_id, player, alias, list_id, registered_at, token_hash)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT (tournament_id, player) DO NOTHING`
+      ).bind(tournament.id, player, alias, listId, now, await registrationTokenHash(registrationToken)).run();
+      // Otra inscripción del mismo alias se ha colado entre medias
+      if (!inserted.meta.changes) {
+        return new Response(JSON.stringify({ error: 'alias_taken' }), {
+          status: 403, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify({ player, listId, registrationToken }), {
+        status: 201, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/tournaments/:id/players/:alias/drop — retirar jugador (admin) ── */
+    const tournamentDropMatch = pathname.match(/^\/api\/tournaments\/([a-z0-9]+)\/players\/([^/]+)\/drop$/);
+    if (tournamentDropMatch && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let alias: string;
+      try { alias = decodeURIComponent(tournamentDropMatch[2]); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid alias' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const tournament = await env.DB.prepare('SELECT * FROM tournaments WHERE id = ?')
+        .bind(tournamentDropMatch[1]).first<TournamentRow>();
+      if (!tournament) {
+        return new Response(JSON.stringify({ error: 'Tournament not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (tournament.status === 'finished') {
+        return new Response(JSON.stringify({ error: 'tournament_finished' }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Antes de empezar, retirarse es simplemente borrar la inscripción. Después
+      // se conservan sus resultados y deja de emparejarse a partir de la
+      // siguiente ronda (o de esta, si se vuelve a emparejar)
+      const player = await resolvePlayer(env.DB, alias);
+      const result = tournament.status === 'registration'
+        ? await env.DB.prepare('DELETE FROM tournament_players WHERE tournament_id = ? AND player = ?')
+          .bind(tournament.id, player).run()
+        : await env.DB.prepare(
+          `UPDATE tournament_players SET dropped_round = ?
+           WHERE tournament_id = ? AND player = ? AND dropped_round IS NULL`
+        ).bind(tournament.current_round, tournament.id, player).run();
+      if (!result.meta.changes) {
+        return new Response(JSON.stringify({ error: 'Player not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify({ ok: true, player }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/tournaments/:id/rounds — emparejar la ronda siguiente (admin) ── */
+    const tournamentRoundsMatch = pathname.match(/^\/api\/tournaments\/([a-z0-9]+)\/rounds$/);
+    if (tournamentRoundsMatch && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const t = await loadTournament(env.DB, tournamentRoundsMatch[1]);
+      if (!t) {
+        return new Response(JSON.stringify({ error: 'Tournament not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const { tournament } = t;
+      const error = tournament.status === 'finished' ? 'tournament_finished'
+        : t.matches.some(m => !m.reported_at) ? 'round_incomplete'
+        : tournament.rounds !== null && tournament.current_round >= tournament.rounds ? 'all_rounds_played'
+        : t.players.filter(p => p.dropped_round === null).length < 2 ? 'not_enough_players'
+        : null;
+      if (error) {
+        return new Response(JSON.stringify({ error }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const round = tournament.current_round + 1;
+      const { pairs, rematches } = pairRound(t.players, t.matches);
+      const now = new Date().toISOString();
+      // La PK (torneo, ronda, mesa) impide que dos peticiones a la vez
+      // emparejen la misma ronda: la segunda falla entera
+      try {
+        await env.DB.batch([
+          insertMatchesStatement(env.DB, tournament.id, round, pairs, now),
+          env.DB.prepare(
+            `UPDATE tournaments SET status = 'in_progress', current_round = ?, updated_at = ? WHERE id = ?`
+          ).bind(round, now, tournament.id),
+        ]);
+      } catch {
+        return new Response(JSON.stringify({ error: 'round_conflict' }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      return new Response(JSON.stringify({
+        round,
+        rematches,
+        tables: pairs.map(([player1, player2], i) => ({ table: i + 1, player1, player2 })),
+      }), {
+        status: 201, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/tournaments/:id/rounds/:n/repair — volver a emparejar (admin) ── */
+    const tournamentRepairMatch = pathname.match(/^\/api\/tournaments\/([a-z0-9]+)\/rounds\/(\d+)\/repair$/);
+    if (tournamentRepairMatch && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const t = await loadTournament(env.DB, tournamentRepairMatch[1]);
+      if (!t) {
+        return new Response(JSON.stringify({ error: 'Tournament not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Solo la ronda en curso y mientras no tenga resultados (salvo el bye)
+      const round = Number(tournamentRepairMatch[2]);
+      const error = t.tournament.status !== 'in_progress' ? 'tournament_not_running'
+        : round !== t.tournament.current_round ? 'not_current_round'
+        : t.matches.some(m => m.round === round && m.player2 !== null && m.reported_at) ? 'round_has_results'
+        : t.players.filter(p => p.dropped_round === null).length < 2 ? 'not_enough_players'
+        : null;
+      if (error) {
+        return new Response(JSON.stringify({ error }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Quien se retiró durante esta ronda ya no entra al re-emparejar
+      const players = t.players.map(p => (p.dropped_round === round ? { ...p, dropped_round: round - 1 } : p));
+      const { pairs, rematches } = pairRound(players, t.matches.filter(m => m.round < round));
+      const now = new Date().toISOString();
+      await env.DB.batch([
+        env.DB.prepare('DELETE FROM tournament_matches WHERE tournament_id = ? AND round = ?')
+          .bind(t.tournament.id, round),
+        insertMatchesStatement(env.DB, t.tournament.id, round, pairs, now),
+        env.DB.prepare('UPDATE tournaments SET updated_at = ? WHERE id = ?').bind(now, t.tournament.id),
+      ]);
+      return new Response(JSON.stringify({
+        round,
+        rematches,
+        tables: pairs.map(([player1, player2], i) => ({ table: i + 1, player1, player2 })),
+      }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/tournaments/:id/rounds/:n/tables/:t/result — reportar mesa (admin) ── */
+    const tournamentResultMatch = pathname.match(/^\/api\/tournaments\/([a-z0-9]+)\/rounds\/(\d+)\/tables\/(\d+)\/result$/);
+    if (tournamentResultMatch && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let body: { winner?: 1 | 2 | null; battleId?: string };
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (body.battleId === undefined && body.winner !== 1 && body.winner !== 2 && body.winner !== null) {
+        return new Response(JSON.stringify({ error: 'winner must be 1, 2 or null (draw), or give a battleId' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const [tournamentId, round, table] = [tournamentResultMatch[1], Number(tournamentResultMatch[2]), Number(tournamentResultMatch[3])];
+      const tournament = await env.DB.prepare('SELECT status FROM tournaments WHERE id = ?')
+        .bind(tournamentId).first<{ status: string }>();
+      const match = await env.DB.prepare(
+        `SELECT round, table_no, player1, player2, winner, battle_id, reported_at FROM tournament_matches
+         WHERE tournament_id = ? AND round = ? AND table_no = ?`
+      ).bind(tournamentId, round, table).first<MatchRow>();
+      if (!tournament || !match) {
+        return new Response(JSON.stringify({ error: 'Match not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (tournament.status !== 'in_progress' || match.player2 === null) {
+        return new Response(JSON.stringify({ error: match.player2 === null ? 'bye_match' : 'tournament_not_running' }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      // Con battleId el ganador sale de la partida, que tiene que estar
+      // cerrada, ser entre estos dos jugadores y con sus listas inscritas
+      let winner: number | null = body.winner ?? null;
+      if (body.battleId !== undefined) {
+        const battle = await env.DB.prepare(
+          'SELECT status, winner, list1_id, list2_id, player1_alias, player2_alias FROM battle_reports WHERE id = ?'
+        ).bind(body.battleId).first<{
+          status: string; winner: number | null; list1_id: string; list2_id: string; player1_alias: string; player2_alias: string;
+        }>();
+        if (!battle) {
+          return new Response(JSON.stringify({ error: 'Battle not found' }), {
+            status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        if (battle.status !== 'finished') {
+          return new Response(JSON.stringify({ error: 'battle_not_finished' }), {
+            status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        const linked = await env.DB.prepare(
+          `SELECT 1 FROM tournament_matches WHERE battle_id = ?
+             AND NOT (tournament_id = ? AND round = ? AND table_no = ?)`
+        ).bind(body.battleId, tournamentId, round, table).first();
+        if (linked) {
+          return new Response(JSON.stringify({ error: 'battle_already_linked' }), {
+            status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        const seats = [
+          { player: await resolvePlayer(env.DB, battle.player1_alias), list: await resolveListId(env.DB, battle.list1_id) },
+          { player: await resolvePlayer(env.DB, battle.player2_alias), list: await resolveListId(env.DB, battle.list2_id) },
+        ];
+        const swapped = seats[0].player === match.player2;
+        if (!swapped ? seats[0].player !== match.player1 || seats[1].player !== match.player2
+          : seats[1].player !== match.player1) {
+          return new Response(JSON.stringify({ error: 'battle_players_mismatch' }), {
+            status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        const registered = await env.DB.prepare(
+          'SELECT player, list_id FROM tournament_players WHERE tournament_id = ? AND player IN (?, ?)'
+        ).bind(tournamentId, match.player1, match.player2).all<{ player: string; list_id: string }>();
+        const lists = new Map(registered.results.map(r => [r.player, r.list_id]));
+        if (seats.some(s => lists.get(s.player) !== s.list)) {
+          return new Response(JSON.stringify({ error: 'list_mismatch' }), {
+            status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        winner = battle.winner === null ? null : swapped ? 3 - battle.winner : battle.winner;
+      }
+
+      const now = new Date().toISOString();
+      await env.DB.batch([
+        env.DB.prepare(
+          `UPDATE tournament_matches SET winner = ?, battle_id = ?, reported_at = ?
+           WHERE tournament_id = ? AND round = ? AND table_no = ?`
+        ).bind(winner, body.battleId ?? null, now, tournamentId, round, table),
+        env.DB.prepare('UPDATE tournaments SET updated_at = ? WHERE id = ?').bind(now, tournamentId),
+      ]);
+      return new Response(JSON.stringify({ ok: true, winner }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/tournaments/:id/finish — cerrar torneo (admin) ── */
+    const tournamentFinishMatch = pathname.match(/^\/api\/tournaments\/([a-z0-9]+)\/finish$/);
+    if (tournamentFinishMatch && request.method === 'POST') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const t = await loadTournament(env.DB, tournamentFinishMatch[1]);
+      if (!t) {
+        return new Response(JSON.stringify({ error: 'Tournament not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const error = t.tournament.status !== 'in_progress' ? 'tournament_not_running'
+        : t.matches.some(m => !m.reported_at) ? 'round_incomplete'
+        : null;
+      if (error) {
+        return new Response(JSON.stringify({ error }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      await env.DB.prepare(`UPDATE tournaments SET status = 'finished', updated_at = ? WHERE id = ?`)
+        .bind(new Date().toISOString(), t.tournament.id).run();
+      return new Response(JSON.stringify({ ok: true, standings: computeStandings(t.players, t.matches) }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ══ CAMPAÑA ═══════════════════════════════════════════════ */
+
+    /* ── POST /api/campaigns/runs — empezar una campaña (PÚBLICO) ── */
+    if (pathname === '/api/campaigns/runs' && request.method === 'POST') {
+      let body: { name: string; credits?: number };
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      const credits = body.credits ?? DEFAULT_LIST_BUDGET;
+      if (!name || name.length > 80 || !Number.isInteger(credits) || credits < 0) {
+        return new Response(JSON.stringify({ error: 'Missing name or invalid credits' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // Como con las listas, quien tiene el id puede verla y apuntar
+      // resultados; por eso es más largo que el resto
+      const id = generateId(12);
+      const now = new Date().toISOString();
+      await env.DB.prepare(
+        `INSERT INTO campaign_runs (id, name, credits, unlocked_functions, created_at, updated_at)
+         VALUES (?, ?, ?, '[]', ?, ?)`
+      ).bind(id, name, credits, now, now).run();
+      return new Response(JSON.stringify({ id }), {
+        status: 201, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/campaigns/runs — todas las campañas (admin) ──── */
+    if (pathname === '/api/campaigns/runs' && request.method === 'GET') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const rows = await env.DB.prepare(
+        `SELECT r.id, r.name, r.credits, r.created_at, r.updated_at,
+                (SELECT COUNT(*) FROM campaign_run_results x WHERE x.run_id = r.id) AS played
+         FROM campaign_runs r ORDER BY r.updated_at DESC LIMIT 500`
+      ).all<{ id: string; name: string; credits: number; created_at: string; updated_at: string; played: number }>();
+      return new Response(JSON.stringify(rows.results.map(r => ({
+        id: r.id, name: r.name, credits: r.credits, played: r.played, createdAt: r.created_at, updatedAt: r.updated_at,
+      }))), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── GET /api/campaigns/runs/:id — estado, historial y siguiente escenario (PÚBLICO) ── */
+    const campaignRunMatch = pathname.match(/^\/api\/campaigns\/runs\/([a-z0-9]+)$/);
+    if (campaignRunMatch && request.method === 'GET') {
+      const run = await env.DB.prepare('SELECT * FROM campaign_runs WHERE id = ?')
+        .bind(campaignRunMatch[1]).first<RunRow>();
+      if (!run) {
+        return new Response(JSON.stringify({ error: 'Campaign run not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const results = await env.DB.prepare(
+        `SELECT r.seq, r.scenario_id, r.result, r.battle_id, r.credits_delta, r.credits_after, r.unlocked,
+                r.recorded_at, s.title
+         FROM campaign_run_results r LEFT JOIN scenarios s ON s.id = r.scenario_id
+         WHERE r.run_id = ? ORDER BY r.seq ASC`
+      ).bind(run.id).all<RunResultRow & { title: string | null }>();
+      const functions = await env.DB.prepare(
+        'SELECT id, func_name, version FROM functions WHERE id IN (SELECT value FROM json_each(?))'
+      ).bind(run.unlocked_functions).all<{ id: string; func_name: string; version: string }>();
+      const acts = await loadCampaignStructure(env.DB);
+      const last = results.results[results.results.length - 1];
+      const { current, next } = campaignPosition(acts, results.results.map(r => r.scenario_id));
+      const names = new Map(functions.results.map(f => [f.id, f]));
+      return new Response(JSON.stringify({
+        id: run.id,
+        name: run.name,
+        credits: run.credits,
+        unlockedFunctions: (JSON.parse(run.unlocked_functions) as string[]).map(id => ({
+          id, name: names.get(id)?.func_name ?? null, version: names.get(id)?.version ?? null,
+        })),
+        position: current && {
+          act: current.act, actIndex: current.actIndex, indexInAct: current.indexInAct,
+          actLength: acts[current.actIndex].scenarios.length,
+          scenario: { id: current.id, title: current.title, numero: current.numero },
+        },
+        next: next && {
+          act: next.act, actIndex: next.actIndex, indexInAct: next.indexInAct,
+          newAct: !current || next.actIndex !== current.actIndex,
+          scenario: { id: next.id, title: next.title, numero: next.numero },
+        },
+        completed: !!last && !next,
+        acts: acts.map(a => ({ act: a.act, scenarios: a.scenarios.map(s => ({ id: s.id, title: s.title, numero: s.numero })) })),
+        results: results.results.map(r => ({
+          seq: r.seq,
+          scenarioId: r.scenario_id,
+          scenarioTitle: r.title,
+          result: r.result,
+          battleId: r.battle_id,
+          creditsDelta: r.credits_delta,
+          creditsAfter: r.credits_after,
+          unlocked: JSON.parse(r.unlocked),
+          recordedAt: r.recorded_at,
+        })),
+        createdAt: run.created_at,
+        updatedAt: run.updated_at,
+      }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── DELETE /api/campaigns/runs/:id — borrar campaña (admin) ── */
+    if (campaignRunMatch && request.method === 'DELETE') {
+      if (!verifyAdmin()) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 401, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      await env.DB.batch([
+        env.DB.prepare('DELETE FROM campaign_run_results WHERE run_id = ?').bind(campaignRunMatch[1]),
+        env.DB.prepare('DELETE FROM campaign_runs WHERE id = ?').bind(campaignRunMatch[1]),
+      ]);
+      return new Response(JSON.stringify({ ok: true }), {
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    /* ── POST /api/campaigns/runs/:id/results — apuntar un escenario (PÚBLICO) ── */
+    const campaignResultsMatch = pathname.match(/^\/api\/campaigns\/runs\/([a-z0-9]+)\/results$/);
+    if (campaignResultsMatch && request.method === 'POST') {
+      let body: {
+        result?: string; scenarioId?: string; battleId?: string; seat?: number; credits?: number; unlockedFunctions?: string[];
+      };
+      try { body = await request.json(); } catch {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      // `credits`: ◈ ganados (o gastados, en negativo) en este escenario
+      const delta = body.credits ?? 0;
+      const unlocked = body.unlockedFunctions ?? [];
+      // `seat`: asiento del grupo en la partida enlazada (1 por defecto). Con
+      // `battleId` el resultado sale de su `winner` y `result` es opcional
+      const seat = body.seat ?? 1;
+      const validResult = body.result === undefined
+        ? body.battleId !== undefined
+        : (RUN_RESULTS as readonly string[]).includes(body.result);
+      if (!validResult || (seat !== 1 && seat !== 2) || !Number.isInteger(delta)
+        || !Array.isArray(unlocked) || !unlocked.every(f => typeof f === 'string' && f)) {
+        return new Response(JSON.stringify({ error: 'result must be win, loss or draw (optional with battleId); seat 1 or 2; credits an integer; unlockedFunctions an array of function ids' }), {
+          status: 400, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const run = await env.DB.prepare('SELECT * FROM campaign_runs WHERE id = ?')
+        .bind(campaignResultsMatch[1]).first<RunRow>();
+      if (!run) {
+        return new Response(JSON.stringify({ error: 'Campaign run not found' }), {
+          status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      // Sin scenarioId se apunta el siguiente; con él se puede repetir o
+      // saltar escenarios, pero solo de la campaña
+      const played = await env.DB.prepare(
+        'SELECT seq, scenario_id FROM campaign_run_results WHERE run_id = ? ORDER BY seq ASC'
+      ).bind(run.id).all<{ seq: number; scenario_id: string }>();
+      const last = played.results[played.results.length - 1];
+      const acts = await loadCampaignStructure(env.DB);
+      const scenarioId = body.scenarioId ?? campaignPosition(acts, played.results.map(r => r.scenario_id)).next?.id;
+      if (!scenarioId) {
+        return new Response(JSON.stringify({ error: 'campaign_completed' }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      if (!acts.some(a => a.scenarios.some(s => s.id === scenarioId))) {
+        return new Response(JSON.stringify({ error: 'not_in_campaign' }), {
+          status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      let result = body.result as RunResultRow['result'] | undefined;
+      if (body.battleId !== undefined) {
+        const battle = await env.DB.prepare('SELECT scenario_id, status, winner FROM battle_reports WHERE id = ?')
+          .bind(body.battleId).first<{ scenario_id: string | null; status: string; winner: number | null }>();
+        if (!battle) {
+          return new Response(JSON.stringify({ error: 'Battle not found' }), {
+            status: 404, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        if (battle.scenario_id && battle.scenario_id !== scenarioId) {
+          return new Response(JSON.stringify({ error: 'scenario_mismatch' }), {
+            status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        // Ni en curso ni abandonada: solo cuenta una partida cerrada
+        if (battle.status !== 'finished') {
+          return new Response(JSON.stringify({ error: 'battle_not_finished' }), {
+            status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        const battleResult = battle.winner === null ? 'draw' : battle.winner === seat ? 'win' : 'loss';
+        if (result !== undefined && result !== battleResult) {
+          return new Response(JSON.stringify({ error: 'result_mismatch', expected: battleResult }), {
+            status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+          });
+        }
+        result = battleResult;
+      }
+      const known = await env.DB.prepare('SELECT id FROM functions WHERE id IN (SELECT value FROM json_each(?))')
+        .bind(JSON.stringify(unlocked)).all<{ id: string }>();
+      const unknown = unlocked.filter(f => !known.results.some(k => k.id === f));
+      if (unknown.length) {
+        return new Response(JSON.stringify({ error: 'unknown_functions', functions: unknown }), {
+          status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const credits = run.credits + delta;
+      if (credits < 0) {
+        return new Response(JSON.stringify({ error: 'insufficient_credits', credits: run.credits }), {
+          status: 422, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+
+      const before: string[] = JSON.parse(run.unlocked_functions);
+      const added = [...new Set(unlocked)].filter(f => !before.includes(f));
+      const seq = (last?.seq ?? 0) + 1;
+      const now = new Date().toISOString();
+      // Si otra petición apuntó un resultado a la vez, la PK (run, seq)
+      // tumba el batch entero y el estado no se pisa
+      try {
+        await env.DB.batch([
+          env.DB.prepare(
+            `INSERT INTO campaign_run_results
+             (run_id, seq, scenario_id, result, battle_id, credits_delta, credits_after, unlocked, recorded_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+          ).bind(run.id, seq, scenarioId, result, body.battleId ?? null, delta, credits, JSON.stringify(added), now),
+          env.DB.prepare('UPDATE campaign_runs SET credits = ?, unlocked_functions = ?, updated_at = ? WHERE id = ?')
+            .bind(credits, JSON.stringify([...before, ...added]), now, run.id),
+        ]);
+      } catch {
+        return new Response(JSON.stringify({ error: 'stale_run' }), {
+          status: 409, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        });
+      }
+      const { next } = campaignPosition(acts, [scenarioId]);
+      return new Response(JSON.stringify({
+        seq,
+        scenarioId,
+        result,
+        credits,
+        unlocked: added,
+        next: next && { act: next.act, scenario: { id: next.id, title: next.title, numero: next.numero } },
+      }), {
+        status: 201, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      });
+    }
+
+    return new Response('Not found', { status: 404 });
+  },
+
+  /* ── Cron (triggers.crons en wrangler.jsonc) ─────────────── */
+  async scheduled(_controller: ScheduledController, env: Env): Promise<void> {
+    // Cada tarea por separado: que falle una no impide las demás
+    try {
+      const abandoned = await abandonStaleBattles(env);
+      if (abandoned) console.log(`[cron] ${abandoned} partida(s) marcadas como abandonadas`);
+    } catch (e) {
+      console.error('[cron] Fallo al abandonar partidas:', e instanceof Error ? e.message : e);
+    }
+    try {
+      await refreshMetaReports(env.DB, env.META, metaWindows(env.META_WINDOWS));
+    } catch (e) {
+      console.error('[cron] Fallo al recalcular el meta:', e instanceof Error ? e.message : e);
+    }
+    try {
+      const published = await publishDueScenarios(env.DB);
+      if (published) console.log(`[cron] ${published} escenario(s) publicados`);
+    } catch (e) {
+      console.error('[cron] Fallo al publicar escenarios programados:', e instanceof Error ? e.message : e);
+    }
   },
 };
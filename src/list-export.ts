@@ -0,0 +1,149 @@
+import { normalizeFuncName } from './battle-stats';
+
+/** Formatos legibles de una lista (GET /api/lists/:id?format=text|md) para
+ *  imprimir en torneos o pegar en el foro. Las estadísticas de cada función
+ *  salen de la tabla `functions`, así que se leen sin la app. */
+
+export interface FunctionStats {
+  func_name: string;
+  version: string;
+  range: string;
+  damage: string;
+  energy: string;
+  cost: string;
+}
+
+interface ListData {
+  programmer?: string;
+  bots?: unknown;
+}
+
+interface Bot {
+  name?: unknown;
+  points?: unknown;
+  attackFunctions?: Record<string, unknown>;
+}
+
+export async function loadFunctionStats(db: D1Database): Promise<Map<string, FunctionStats>> {
+  const rows = await db.prepare(
+    'SELECT func_name, version, range, damage, energy, cost FROM functions'
+  ).all<FunctionStats>();
+  return new Map(rows.results.map(r => [normalizeFuncName(r.func_name), r]));
+}
+
+const POINT_LABELS: Record<string, string> = { mejora: '+ mejora', desventaja: '- desventaja' };
+
+/** `data` es JSON del cliente: un nombre que no sea string no se imprime. */
+function botName(bot: { name?: unknown }, i: number): string {
+  return typeof bot.name === 'string' ? bot.name : `BOT_${i + 1}`;
+}
+
+function programmerName(list: ListData): string {
+  return typeof list.programmer === 'string' ? list.programmer : '—';
+}
+
+/** Puntos con tipo de un bot; `points` puede no ser un array. */
+function typedPoints(bot: Bot): { constant?: unknown; type: string }[] {
+  const points = Array.isArray(bot.points) ? bot.points as { constant?: unknown; type?: unknown }[] : [];
+  return points.filter((p): p is { constant?: unknown; type: string } => !!p && typeof p.type === 'string' && !!p.type);
+}
+
+interface RosterRow {
+  slot: string;
+  name: string;
+  range: string;
+  damage: string;
+  energy: string;
+  cost: number | null;
+}
+
+/** Funciones de un bot en orden de slot, con sus estadísticas ('?' si la
+ *  función no está en el catálogo). */
+function botRows(af: Record<string, unknown> | undefined, stats: Map<string, FunctionStats>): RosterRow[] {
+  const rows: RosterRow[] = [];
+  for (const slot of ['v1', 'v2', 'v3']) {
+    const value = af?.[slot];
+    for (const name of Array.isArray(value) ? value : value ? [value] : []) {
+      if (typeof name !== 'string' || !name) continue;
+      const s = stats.get(normalizeFuncName(name));
+      rows.push({
+        slot, name,
+        range: s?.range || '?', damage: s?.damage || '?', energy: s?.energy || '?',
+        cost: s ? Number(s.cost) || 0 : null,
+      });
+    }
+  }
+  return rows;
+}
+
+function costLabel(cost: number | null): string {
+  return cost === null ? '?' : `${cost}◈`;
+}
+
+function totalCost(rows: RosterRow[]): number {
+  return rows.reduce((n, r) => n + (r.cost ?? 0), 0);
+}
+
+const WIDTH = 64;
+
+/** Bots de la lista con sus filas. El POST no estricto solo exige un array
+ *  no vacío: un bot puede ser null. */
+function rosterBots(list: ListData, stats: Map<string, FunctionStats>): { bot: Bot; rows: RosterRow[] }[] {
+  return (Array.isArray(list.bots) ? list.bots : []).map(raw => {
+    const bot = (raw ?? {}) as Bot;
+    return { bot, rows: botRows(bot.attackFunctions, stats) };
+  });
+}
+
+/** Roster de ancho fijo (64 columnas) en texto plano. */
+export function listToText(id: string, list: ListData, stats: Map<string, FunctionStats>): string {
+  const bots = rosterBots(list, stats);
+  const total = bots.reduce((n, b) => n + totalCost(b.rows), 0);
+  const line = (left: string, right = '') => left.padEnd(WIDTH - right.length) + right;
+  const out = [
+    line('FIRMWARE WARS', `LISTA ${id}`),
+    line(`Programador: ${programmerName(list)}`, `Total: ${total}◈`),
+    '='.repeat(WIDTH),
+  ];
+  bots.forEach(({ bot, rows }, i) => {
+    out.push(line(botName(bot, i), `${totalCost(rows)}◈`));
+    const points = typedPoints(bot);
+    if (points.length) {
+      out.push(`  Puntos: ${points.map(p => `${p.constant} (${POINT_LABELS[p.type] ?? p.type})`).join(', ')}`);
+    }
+    out.push(`  ${'Slot'.padEnd(5)}${'Función'.padEnd(27)}${'Rango'.padStart(6)}${'Daño'.padStart(6)}${'Energ.'.padStart(8)}${'Coste'.padStart(8)}`);
+    for (const r of rows) {
+      out.push(`  ${r.slot.padEnd(5)}${r.name.slice(0, 26).padEnd(27)}${r.range.padStart(6)}${r.damage.padStart(6)}${r.energy.padStart(8)}${costLabel(r.cost).padStart(8)}`);
+    }
+    out.push('-'.repeat(WIDTH));
+  });
+  return out.join('\n') + '\n';
+}
+
+function mdCell(text: string): string {
+  return text.replace(/\|/g, '\\|');
+}
+
+/** La misma información en Markdown (tabla por bot). */
+export function listToMarkdown(id: string, list: ListData, stats: Map<string, FunctionStats>): string {
+  const bots = rosterBots(list, stats);
+  const total = bots.reduce((n, b) => n + totalCost(b.rows), 0);
+  const out = [
+    `# Lista de ${mdCell(programmerName(list))}`,
+    '',
+    `Id \`${id}\` · Coste total **${total}◈**`,
+  ];
+  bots.forEach(({ bot, rows }, i) => {
+    out.push('', `## ${mdCell(botName(bot, i))} — ${totalCost(rows)}◈`, '');
+    const points = typedPoints(bot);
+    if (points.length) {
+      for (const p of points) out.push(`- \`${p.constant}\`: ${p.type}`);
+      out.push('');
+    }
+    out.push('| Slot | Función | Rango | Daño | Energía | Coste |', '|---|---|---:|---:|---:|---:|');
+    for (const r of rows) {
+      out.push(`| ${r.slot} | \`${mdCell(r.name)}\` | ${r.range} | ${r.damage} | ${r.energy} | ${costLabel(r.cost)} |`);
+    }
+  });
+  return out.join('\n') + '\n';
+}
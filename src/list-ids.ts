@@ -0,0 +1,97 @@
+/** Ids de lista direccionados por contenido: el id es un hash del JSON
+ *  canónico de la lista, así que guardar dos veces la misma lista devuelve
+ *  el mismo id en vez de crear otra fila.
+ *
+ *  Los ids aleatorios antiguos siguen funcionando a través de `list_aliases`
+ *  (id antiguo → id canónico). Como el contenido detrás de un id nunca cambia,
+ *  la caché `immutable` de GET /api/lists/:id sigue siendo válida. */
+
+const ID_CHARS = 'abcdefghjkmnpqrstuvwxyz23456789';
+const CONTENT_ID_LENGTH = 12;
+
+/** JSON con las claves de cada objeto ordenadas. El orden de los arrays se
+ *  respeta: dos listas con los bots en distinto orden son listas distintas. */
+export function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value as Record<string, unknown>)
+      .filter(([, v]) => v !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${canonicalJson(v)}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** Id de una lista a partir de su contenido (SHA-256, mismo alfabeto que
+ *  `generateId`). */
+export async function contentListId(list: unknown): Promise<string> {
+  const digest = new Uint8Array(
+    await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalJson(list))),
+  );
+  return Array.from(digest.subarray(0, CONTENT_ID_LENGTH), b => ID_CHARS[b % ID_CHARS.length]).join('');
+}
+
+/** Id canónico de `id` (él mismo si no es un alias). */
+export async function resolveListId(db: D1Database, id: string): Promise<string> {
+  const alias = await db.prepare('SELECT list_id FROM list_aliases WHERE old_id = ?')
+    .bind(id).first<{ list_id: string }>();
+  return alias?.list_id ?? id;
+}
+
+/** Guarda `list` bajo su id de contenido si no existía. Si ya existía no
+ *  se toca nada (tampoco su `parent_id`: así un fork no puede crear ciclos). */
+export async function saveListStatement(
+  db: D1Database, list: { programmer?: unknown },
+  opts: { createdAt?: string; parentId?: string } = {},
+): Promise<{ id: string; stmt: D1PreparedStatement }> {
+  const id = await contentListId(list);
+  const stmt = db.prepare(
+    `INSERT OR IGNORE INTO lists (id, programmer, data, parent_id, created_at)
+     VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`
+  ).bind(id, String(list.programmer ?? ''), JSON.stringify(list), opts.parentId ?? null, opts.createdAt ?? null);
+  return { id, stmt };
+}
+
+export interface DedupeResult {
+  processed: number;
+  collapsed: number;
+  cursor: string | null;
+}
+
+/** Una página de la migración: cada lista con id aleatorio pasa a su id de
+ *  contenido (creándolo si hace falta), deja un alias y se borra. Las
+ *  partidas e inscripciones de torneo que la referencian se reescriben al
+ *  id nuevo. */
+export async function dedupeLists(db: D1Database, cursor: string, limit: number): Promise<DedupeResult> {
+  const rows = await db.prepare(
+    'SELECT id, data, created_at FROM lists WHERE id > ? ORDER BY id ASC LIMIT ?'
+  ).bind(cursor, limit).all<{ id: string; data: string; created_at: string }>();
+  let collapsed = 0;
+  for (const row of rows.results) {
+    let data: { programmer?: unknown };
+    try { data = JSON.parse(row.data); } catch { continue; }
+    // Si el id de contenido ya existía se queda con la fecha más antigua
+    const { id, stmt } = await saveListStatement(db, data, { createdAt: row.created_at });
+    if (id === row.id) continue;
+    await db.batch([
+      stmt,
+      db.prepare('UPDATE lists SET created_at = MIN(created_at, ?) WHERE id = ?').bind(row.created_at, id),
+      db.prepare('UPDATE list_aliases SET list_id = ? WHERE list_id = ?').bind(id, row.id),
+      db.prepare('UPDATE lists SET parent_id = ? WHERE parent_id = ? AND id != ?').bind(id, row.id, id),
+      db.prepare(
+        'INSERT OR REPLACE INTO list_aliases (old_id, list_id, created_at) VALUES (?, ?, ?)'
+      ).bind(row.id, id, new Date().toISOString()),
+      db.prepare('UPDATE battle_reports SET list1_id = ? WHERE list1_id = ?').bind(id, row.id),
+      db.prepare('UPDATE battle_reports SET list2_id = ? WHERE list2_id = ?').bind(id, row.id),
+      db.prepare('UPDATE tournament_players SET list_id = ? WHERE list_id = ?').bind(id, row.id),
+      db.prepare('DELETE FROM lists WHERE id = ?').bind(row.id),
+    ]);
+    collapsed++;
+  }
+  const last = rows.results[rows.results.length - 1];
+  return {
+    processed: rows.results.length,
+    collapsed,
+    cursor: rows.results.length === limit ? last.id : null,
+  };
+}
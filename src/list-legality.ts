@@ -0,0 +1,158 @@
+import { normalizeFuncName } from './battle-stats';
+
+/** Legalidad de una lista de ejército contra el catálogo de `functions`.
+ *
+ *  Reglas (las del constructor):
+ *  - `attackFunctions.v1` / `v2`: hasta 2 funciones de versión 1 / 2;
+ *    `v3`: una sola función (string) de versión 3. Las pasivas no van aquí.
+ *  - El coste (◈) de todas las funciones de la lista cabe en el presupuesto.
+ *  - `points`: cada constante una vez como mucho, con tipo mejora,
+ *    desventaja o null, y sin pasarse de mejoras / desventajas por bot.
+ *
+ *  Los errores hacen la lista ilegal; los avisos no. */
+
+export const DEFAULT_LIST_BUDGET = 120;
+
+export const POINT_CONSTANTS = ['MAX_LIFE', 'MAX_ENERGY', 'MAX_SHIELD', 'MAX_MOVEMENT'] as const;
+
+/** Máximo de puntos de cada tipo por bot. */
+const POINT_LIMITS: Record<string, number> = { mejora: 2, desventaja: 1 };
+
+const SLOTS = [
+  { slot: 'v1', version: '1', max: 2 },
+  { slot: 'v2', version: '2', max: 2 },
+  { slot: 'v3', version: '3', max: 1 },
+] as const;
+
+export interface LegalityIssue {
+  severity: 'error' | 'warning';
+  code: string;
+  message: string;
+  /** Índice del bot (0-based), si el problema es de un bot concreto. */
+  bot?: number;
+  slot?: string;
+  function?: string;
+  constant?: string;
+}
+
+export interface LegalityReport {
+  legal: boolean;
+  budget: number;
+  totalCost: number;
+  bots: {
+    name: string;
+    cost: number;
+    functions: { slot: string; name: string; version: string | null; cost: number; known: boolean }[];
+  }[];
+  issues: LegalityIssue[];
+}
+
+interface CatalogEntry {
+  func_name: string;
+  func_type: string | null;
+  version: string;
+  cost: string;
+}
+
+/** Comprueba `list` (el mismo body que POST /api/lists). */
+export async function checkListLegality(
+  db: D1Database, list: unknown, budget = DEFAULT_LIST_BUDGET,
+): Promise<LegalityReport> {
+  const rows = await db.prepare('SELECT func_name, func_type, version, cost FROM functions').all<CatalogEntry>();
+  const catalog = new Map(rows.results.map(r => [normalizeFuncName(r.func_name), r]));
+  const issues: LegalityIssue[] = [];
+  const report: LegalityReport = { legal: true, budget, totalCost: 0, bots: [], issues };
+
+  const l = (list ?? {}) as { programmer?: unknown; bots?: unknown };
+  if (typeof l.programmer !== 'string' || !l.programmer.trim()) {
+    issues.push({ severity: 'error', code: 'missing_programmer', message: 'programmer is required' });
+  }
+  if (!Array.isArray(l.bots) || l.bots.length === 0) {
+    issues.push({ severity: 'error', code: 'no_bots', message: 'bots must be a non-empty array' });
+  }
+
+  (Array.isArray(l.bots) ? l.bots : []).forEach((raw, bot) => {
+    const b = (raw ?? {}) as { name?: unknown; points?: unknown; attackFunctions?: unknown };
+    const entry: LegalityReport['bots'][number] = {
+      name: typeof b.name === 'string' ? b.name : `BOT_${bot + 1}`, cost: 0, functions: [],
+    };
+    report.bots.push(entry);
+
+    const af = (b.attackFunctions ?? {}) as Record<string, unknown>;
+    const seen = new Set<string>();
+    for (const { slot, version, max } of SLOTS) {
+      const value = af[slot];
+      const names: unknown[] = Array.isArray(value) ? value : value == null || value === '' ? [] : [value];
+      if (slot === 'v3' && Array.isArray(value)) {
+        issues.push({ severity: 'error', code: 'slot_shape', bot, slot, message: 'v3 holds a single function name, not an array' });
+      }
+      if (names.length > max) {
+        issues.push({ severity: 'error', code: 'slot_overflow', bot, slot, message: `${slot} holds at most ${max} function(s), got ${names.length}` });
+      }
+      if (names.length === 0) {
+        issues.push({ severity: 'warning', code: 'slot_empty', bot, slot, message: `${slot} is empty` });
+      }
+      for (const n of names) {
+        if (typeof n !== 'string' || !n.trim()) {
+          issues.push({ severity: 'error', code: 'invalid_function', bot, slot, message: 'function names must be non-empty strings' });
+          continue;
+        }
+        const key = normalizeFuncName(n);
+        const fn = catalog.get(key);
+        const cost = fn ? Number(fn.cost) || 0 : 0;
+        entry.functions.push({ slot, name: n, version: fn?.version ?? null, cost, known: !!fn });
+        entry.cost += cost;
+        if (!fn) {
+          issues.push({ severity: 'error', code: 'unknown_function', bot, slot, function: n, message: `${n} is not in the functions catalogue` });
+          continue;
+        }
+        if (fn.func_type === 'passive') {
+          issues.push({ severity: 'error', code: 'passive_in_attack_slot', bot, slot, function: n, message: `${n} is a passive function` });
+        }
+        if (fn.version !== version) {
+          issues.push({ severity: 'error', code: 'wrong_version', bot, slot, function: n, message: `${n} is version ${fn.version}, ${slot} needs version ${version}` });
+        }
+        if (seen.has(key)) {
+          issues.push({ severity: 'warning', code: 'duplicate_function', bot, slot, function: n, message: `${n} appears more than once in this bot` });
+        }
+        seen.add(key);
+      }
+    }
+
+    const points = Array.isArray(b.points) ? b.points : [];
+    if (!Array.isArray(b.points)) {
+      issues.push({ severity: 'error', code: 'invalid_points', bot, message: 'points must be an array' });
+    }
+    const used = new Set<string>();
+    const byType: Record<string, number> = {};
+    for (const rawPoint of points) {
+      const p = (rawPoint ?? {}) as { constant?: unknown; type?: unknown };
+      const constant = String(p.constant);
+      if (!(POINT_CONSTANTS as readonly string[]).includes(constant)) {
+        issues.push({ severity: 'error', code: 'unknown_constant', bot, constant, message: `${constant} is not a point constant` });
+        continue;
+      }
+      if (used.has(constant)) {
+        issues.push({ severity: 'error', code: 'duplicate_constant', bot, constant, message: `${constant} appears more than once` });
+      }
+      used.add(constant);
+      if (p.type !== null && p.type !== undefined && !(typeof p.type === 'string' && Object.hasOwn(POINT_LIMITS, p.type))) {
+        issues.push({ severity: 'error', code: 'invalid_point_type', bot, constant, message: `${constant} type must be mejora, desventaja or null` });
+        continue;
+      }
+      if (typeof p.type === 'string') byType[p.type] = (byType[p.type] ?? 0) + 1;
+    }
+    for (const [type, limit] of Object.entries(POINT_LIMITS)) {
+      if ((byType[type] ?? 0) > limit) {
+        issues.push({ severity: 'error', code: 'too_many_points', bot, message: `at most ${limit} ${type} per bot, got ${byType[type]}` });
+      }
+    }
+    report.totalCost += entry.cost;
+  });
+
+  if (report.totalCost > budget) {
+    issues.push({ severity: 'error', code: 'over_budget', message: `total cost ${report.totalCost}◈ exceeds the ${budget}◈ budget` });
+  }
+  report.legal = !issues.some(i => i.severity === 'error');
+  return report;
+}
@@ -0,0 +1,139 @@
+import { normalizeFuncName } from './battle-stats';
+
+/** Forks de listas: cada fork guarda `parent_id` y de ahí salen el árbol de
+ *  linaje y el diff entre dos versiones. */
+
+/** Tope de profundidad al recorrer el linaje (evita ciclos y árboles
+ *  patológicos). */
+const MAX_DEPTH = 100;
+
+export interface LineageNode {
+  id: string;
+  programmer: string;
+  createdAt: string;
+  children: LineageNode[];
+}
+
+/** Antepasados de `id` (de la raíz al padre) y árbol de descendientes. */
+export async function listLineage(
+  db: D1Database, id: string,
+): Promise<{ ancestors: Omit<LineageNode, 'children'>[]; tree: LineageNode }> {
+  const up = await db.prepare(
+    `WITH RECURSIVE up(id, parent_id, programmer, created_at, depth) AS (
+       SELECT id, parent_id, programmer, created_at, 0 FROM lists WHERE id = ?
+       UNION ALL
+       SELECT l.id, l.parent_id, l.programmer, l.created_at, up.depth + 1
+       FROM lists l JOIN up ON l.id = up.parent_id
+       WHERE up.depth < ?
+     )
+     SELECT id, programmer, created_at, depth FROM up ORDER BY depth DESC`
+  ).bind(id, MAX_DEPTH).all<{ id: string; programmer: string; created_at: string; depth: number }>();
+  const down = await db.prepare(
+    `WITH RECURSIVE down(id, parent_id, programmer, created_at, depth) AS (
+       SELECT id, parent_id, programmer, created_at, 0 FROM lists WHERE id = ?
+       UNION ALL
+       SELECT l.id, l.parent_id, l.programmer, l.created_at, down.depth + 1
+       FROM lists l JOIN down ON l.parent_id = down.id
+       WHERE down.depth < ?
+     )
+     SELECT id, parent_id, programmer, created_at FROM down ORDER BY created_at ASC, id ASC`
+  ).bind(id, MAX_DEPTH).all<{ id: string; parent_id: string | null; programmer: string; created_at: string }>();
+
+  const nodes = new Map<string, LineageNode>();
+  for (const r of down.results) {
+    if (!nodes.has(r.id)) nodes.set(r.id, { id: r.id, programmer: r.programmer, createdAt: r.created_at, children: [] });
+  }
+  for (const r of down.results) {
+    if (r.id !== id && r.parent_id) nodes.get(r.parent_id)?.children.push(nodes.get(r.id)!);
+  }
+  return {
+    ancestors: up.results
+      .filter(r => r.depth > 0)
+      .map(r => ({ id: r.id, programmer: r.programmer, createdAt: r.created_at })),
+    tree: nodes.get(id)!,
+  };
+}
+
+interface ListBot {
+  name?: unknown;
+  points?: unknown;
+  attackFunctions?: Record<string, unknown>;
+}
+
+export interface BotDiff {
+  name: string;
+  status: 'added' | 'removed' | 'changed' | 'unchanged';
+  points: { constant: string; from: string | null; to: string | null }[];
+  functions: { slot: string; added: string[]; removed: string[] }[];
+}
+
+function slotFunctions(af: Record<string, unknown> | undefined, slot: string): string[] {
+  const value = af?.[slot];
+  return (Array.isArray(value) ? value : value ? [value] : []).filter((n): n is string => typeof n === 'string');
+}
+
+function pointTypes(bot: ListBot | undefined): Map<string, string | null> {
+  const points = Array.isArray(bot?.points) ? bot.points as unknown[] : [];
+  return new Map(points
+    .filter((p): p is { constant?: unknown; type?: unknown } => !!p && typeof p === 'object')
+    .map(p => [String(p.constant), typeof p.type === 'string' ? p.type : null]));
+}
+
+/** Bots de una lista guardada: el POST no estricto solo exige un array no
+ *  vacío, así que un bot puede ser null y su nombre no ser string. */
+function listBots(list: { bots?: unknown }): (ListBot & { name?: string })[] {
+  return (Array.isArray(list.bots) ? list.bots : []).map(raw => {
+    const bot = (raw ?? {}) as ListBot;
+    return { ...bot, name: typeof bot.name === 'string' ? bot.name : undefined };
+  });
+}
+
+function diffBot(name: string, a: ListBot | undefined, b: ListBot | undefined): BotDiff {
+  const pa = pointTypes(a);
+  const pb = pointTypes(b);
+  const points = [...new Set([...pa.keys(), ...pb.keys()])]
+    .map(constant => ({ constant, from: pa.get(constant) ?? null, to: pb.get(constant) ?? null }))
+    .filter(p => p.from !== p.to);
+  const functions = ['v1', 'v2', 'v3'].map(slot => {
+    // Se comparan por nombre normalizado: `railgun` y `railgun()` son la misma
+    const fa = slotFunctions(a?.attackFunctions, slot);
+    const fb = slotFunctions(b?.attackFunctions, slot);
+    const ka = new Set(fa.map(normalizeFuncName));
+    const kb = new Set(fb.map(normalizeFuncName));
+    return {
+      slot,
+      added: fb.filter(f => !ka.has(normalizeFuncName(f))),
+      removed: fa.filter(f => !kb.has(normalizeFuncName(f))),
+    };
+  }).filter(f => f.added.length || f.removed.length);
+  const status = !a ? 'added' : !b ? 'removed' : points.length || functions.length ? 'changed' : 'unchanged';
+  return { name, status, points, functions };
+}
+
+/** Diff entre dos listas. Los bots se emparejan por nombre; los que no
+ *  tienen nombre (o lo repiten), por posición. */
+export function diffLists(
+  a: { programmer?: string; bots?: unknown }, b: { programmer?: string; bots?: unknown },
+): { programmer: { from: string | null; to: string | null } | null; bots: BotDiff[] } {
+  const key = (bots: { name?: string }[]) => {
+    const names = bots.map(x => x.name);
+    return bots.map((x, i) => (x.name && names.indexOf(x.name) === names.lastIndexOf(x.name) ? `n:${x.name}` : `i:${i}`));
+  };
+  const botsA = listBots(a);
+  const botsB = listBots(b);
+  const keysA = key(botsA);
+  const keysB = key(botsB);
+  const byKeyA = new Map(keysA.map((k, i) => [k, botsA[i]]));
+  const byKeyB = new Map(keysB.map((k, i) => [k, botsB[i]]));
+  const bots = [...new Set([...keysA, ...keysB])].map(k => {
+    const ba = byKeyA.get(k);
+    const bb = byKeyB.get(k);
+    return diffBot(bb?.name ?? ba?.name ?? `BOT_${Number(k.slice(2)) + 1}`, ba, bb);
+  });
+  return {
+    programmer: (a.programmer ?? null) !== (b.programmer ?? null)
+      ? { from: a.programmer ?? null, to: b.programmer ?? null }
+      : null,
+    bots,
+  };
+}
@@ -0,0 +1,116 @@
+import { normalizeFuncName } from './battle-stats';
+
+/** Informe público del meta (GET /api/meta) a partir de las listas
+ *  guardadas: popularidad de cada función por slot, repartos de puntos más
+ *  habituales y media de bots por lista.
+ *
+ *  No se calcula por petición: el cron lo recalcula para cada ventana
+ *  configurada y lo deja en KV (`meta:<días>` / `meta:all`). */
+
+export const DEFAULT_META_WINDOWS = [7, 30, 90];
+
+export type MetaWindow = number | 'all';
+
+export interface MetaReport {
+  window: MetaWindow;
+  from: string | null;
+  generatedAt: string;
+  lists: number;
+  bots: number;
+  avgBotsPerList: number;
+  /** Por slot: función → nº de bots que la llevan y su porcentaje sobre el
+   *  total de bots. Ordenado de más a menos. */
+  functions: Record<'v1' | 'v2' | 'v3', { func: string; count: number; share: number }[]>;
+  /** Repartos de mejora/desventaja más comunes, p. ej.
+   *  `MAX_ENERGY+ MAX_LIFE+ MAX_SHIELD-`. */
+  pointSpreads: { spread: string; count: number; share: number }[];
+}
+
+const TOP_SPREADS = 10;
+
+/** Ventanas (días) de META_WINDOWS ("7,30,90"), o las de por defecto. */
+export function metaWindows(config: string | undefined): number[] {
+  const days = (config ?? '').split(',').map(d => parseInt(d.trim(), 10)).filter(d => d > 0);
+  return days.length ? days : DEFAULT_META_WINDOWS;
+}
+
+export function metaKey(window: MetaWindow): string {
+  return `meta:${window}`;
+}
+
+function share(count: number, total: number): number {
+  return total ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+/** Calcula el informe de las listas guardadas en los últimos `window` días. */
+export async function computeMetaReport(db: D1Database, window: MetaWindow): Promise<MetaReport> {
+  // `created_at` es datetime('now') ('YYYY-MM-DD HH:MM:SS'): mismo formato
+  const from = window === 'all'
+    ? null
+    : new Date(Date.now() - window * 86_400_000).toISOString().slice(0, 19).replace('T', ' ');
+  const rows = await db.prepare(
+    `SELECT data FROM lists ${from ? 'WHERE created_at >= ?' : ''}`
+  ).bind(...(from ? [from] : [])).all<{ data: string }>();
+
+  const slots = { v1: new Map<string, number>(), v2: new Map<string, number>(), v3: new Map<string, number>() };
+  const spreads = new Map<string, number>();
+  // Se agrupa por nombre normalizado pero se muestra tal y como se escribió
+  const display = new Map<string, string>();
+  let lists = 0;
+  let bots = 0;
+  for (const row of rows.results) {
+    let data: { bots?: unknown };
+    try { data = JSON.parse(row.data); } catch { continue; }
+    if (!Array.isArray(data.bots)) continue;
+    lists++;
+    for (const raw of data.bots) {
+      const b = (raw ?? {}) as { points?: unknown; attackFunctions?: Record<string, unknown> };
+      bots++;
+      for (const slot of ['v1', 'v2', 'v3'] as const) {
+        const value = b.attackFunctions?.[slot];
+        // Una vez por bot aunque la repita en el mismo slot
+        const names = new Set<string>();
+        for (const n of Array.isArray(value) ? value : value ? [value] : []) {
+          if (typeof n !== 'string' || !n) continue;
+          const key = normalizeFuncName(n);
+          names.add(key);
+          if (!display.has(key)) display.set(key, n.trim());
+        }
+        for (const fn of names) slots[slot].set(fn, (slots[slot].get(fn) ?? 0) + 1);
+      }
+      const points = Array.isArray(b.points) ? b.points as { constant?: unknown; type?: unknown }[] : [];
+      const spread = points
+        .filter(p => p.type === 'mejora' || p.type === 'desventaja')
+        .map(p => `${String(p.constant)}${p.type === 'mejora' ? '+' : '-'}`)
+        .sort()
+        .join(' ');
+      if (spread) spreads.set(spread, (spreads.get(spread) ?? 0) + 1);
+    }
+  }
+
+  const ranked = (m: Map<string, number>) =>
+    [...m].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1));
+  return {
+    window,
+    from,
+    generatedAt: new Date().toISOString(),
+    lists,
+    bots,
+    avgBotsPerList: lists ? Math.round((bots / lists) * 100) / 100 : 0,
+    functions: {
+      v1: ranked(slots.v1).map(([fn, count]) => ({ func: display.get(fn) ?? fn, count, share: share(count, bots) })),
+      v2: ranked(slots.v2).map(([fn, count]) => ({ func: display.get(fn) ?? fn, count, share: share(count, bots) })),
+      v3: ranked(slots.v3).map(([fn, count]) => ({ func: display.get(fn) ?? fn, count, share: share(count, bots) })),
+    },
+    pointSpreads: ranked(spreads).slice(0, TOP_SPREADS)
+      .map(([spread, count]) => ({ spread, count, share: share(count, bots) })),
+  };
+}
+
+/** Recalcula y guarda en KV el informe de cada ventana (y el histórico). */
+export async function refreshMetaReports(db: D1Database, kv: KVNamespace, windows: number[]): Promise<void> {
+  for (const window of [...windows, 'all' as const]) {
+    const report = await computeMetaReport(db, window);
+    await kv.put(metaKey(window), JSON.stringify(report));
+  }
+}
@@ -0,0 +1,302 @@
+/** Codificador QR mínimo y autocontenido (ISO/IEC 18004): modo byte, nivel
+ *  de corrección M, versiones 1–10 (hasta 213 bytes, de sobra para una URL).
+ *  Sigue la estructura de la implementación de referencia de Project Nayuki.
+ *  Solo lo usa GET /api/lists/:id?format=qr. */
+
+const MAX_VERSION = 10;
+/** Nivel M, por versión (índice 0 = versión 1). */
+const ECC_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ECC_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+/** Bits de formato del nivel M. */
+const ECC_FORMAT_BITS = 0;
+
+type Grid = boolean[][];
+
+function bit(x: number, i: number): boolean {
+  return ((x >>> i) & 1) !== 0;
+}
+
+/* ── Reed-Solomon sobre GF(256), polinomio 0x11D ── */
+
+function gfMul(x: number, y: number): number {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree: number): number[] {
+  const result = new Array<number>(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMul(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data: number[], divisor: number[]): number[] {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ (result.shift() as number);
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMul(coef, factor); });
+  }
+  return result;
+}
+
+/* ── Capacidad ── */
+
+function rawDataModules(ver: number): number {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(ver: number): number {
+  return Math.floor(rawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ver - 1] * NUM_ECC_BLOCKS[ver - 1];
+}
+
+function alignmentPositions(ver: number, size: number): number[] {
+  if (ver === 1) return [];
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = Math.floor((ver * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+/* ── Datos: segmento en modo byte + relleno + bloques con ECC ── */
+
+function encodeData(bytes: Uint8Array, ver: number): number[] {
+  const bits: number[] = [];
+  const push = (val: number, len: number) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, ver <= 9 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+  const capacity = dataCodewords(ver) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+  const data: number[] = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+
+  const numBlocks = NUM_ECC_BLOCKS[ver - 1];
+  const eccLen = ECC_CODEWORDS_PER_BLOCK[ver - 1];
+  const rawCodewords = Math.floor(rawDataModules(ver) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = rsDivisor(eccLen);
+  const blocks: number[][] = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+  // Intercalado (el hueco de los bloques cortos no se emite)
+  const result: number[] = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - eccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+/* ── Matriz ── */
+
+class QrMatrix {
+  readonly size: number;
+  readonly modules: Grid;
+  private readonly isFunction: Grid;
+
+  constructor(readonly version: number) {
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array<boolean>(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array<boolean>(this.size).fill(false));
+    this.drawFunctionPatterns();
+  }
+
+  private set(x: number, y: number, dark: boolean): void {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  private drawFunctionPatterns(): void {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) this.set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+    const align = alignmentPositions(this.version, size);
+    const last = align.length - 1;
+    align.forEach((ax, i) => align.forEach((ay, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) this.set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+    this.drawFormatBits(0);
+    if (this.version >= 7) {
+      let rem = this.version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (this.version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        this.set(a, b, bit(bits, i));
+        this.set(b, a, bit(bits, i));
+      }
+    }
+  }
+
+  drawFormatBits(mask: number): void {
+    const data = (ECC_FORMAT_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const { size } = this;
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(bits, i));
+    this.set(8, 7, bit(bits, 6));
+    this.set(8, 8, bit(bits, 7));
+    this.set(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(bits, i));
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(bits, i));
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(bits, i));
+    this.set(8, size - 8, true);
+  }
+
+  drawCodewords(data: number[]): void {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < data.length * 8) {
+            this.modules[y][x] = bit(data[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /** XOR con la máscara: aplicarla dos veces la deshace. */
+  applyMask(mask: number): void {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        let invert: boolean;
+        switch (mask) {
+          case 0: invert = (x + y) % 2 === 0; break;
+          case 1: invert = y % 2 === 0; break;
+          case 2: invert = x % 3 === 0; break;
+          case 3: invert = (x + y) % 3 === 0; break;
+          case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+          case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+          case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+          default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+        }
+        if (!this.isFunction[y][x] && invert) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  /** Penalización de la especificación (N1–N4): menor = más legible. */
+  penalty(): number {
+    const { size, modules } = this;
+    let result = 0;
+    const lines: boolean[][] = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+    const finderLike = [
+      [true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true],
+    ];
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) { run++; continue; }
+        if (run >= 5) result += 3 + (run - 5);
+        run = 1;
+      }
+      for (let i = 0; i + 11 <= size; i++) {
+        if (finderLike.some(p => p.every((v, k) => line[i + k] === v))) result += 40;
+      }
+    }
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) result += 3;
+      }
+    }
+    const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0);
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return result;
+  }
+}
+
+/** Matriz QR de `text` (true = módulo oscuro). Lanza si no cabe en v10. */
+export function encodeQr(text: string): Grid {
+  const bytes = new TextEncoder().encode(text);
+  let version = 1;
+  const needed = (ver: number) => 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8;
+  while (version <= MAX_VERSION && needed(version) > dataCodewords(version) * 8) version++;
+  if (version > MAX_VERSION) throw new Error(`QR payload too long (${bytes.length} bytes)`);
+  const qr = new QrMatrix(version);
+  qr.drawCodewords(encodeData(bytes, version));
+  let best = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    qr.applyMask(mask);
+    qr.drawFormatBits(mask);
+    const p = qr.penalty();
+    if (p < bestPenalty) { best = mask; bestPenalty = p; }
+    qr.applyMask(mask);
+  }
+  qr.applyMask(best);
+  qr.drawFormatBits(best);
+  return qr.modules;
+}
+
+/** SVG escalable del QR de `text`, con el margen (4 módulos) del estándar. */
+export function qrSvg(text: string, border = 4): string {
+  const modules = encodeQr(text);
+  const dim = modules.length + border * 2;
+  const path: string[] = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+  }));
+  return `<?xml version="1.0" encoding="UTF-8"?>\n`
+    + `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="#ffffff"/>`
+    + `<path d="${path.join('')}" fill="#000000"/></svg>\n`;
+}
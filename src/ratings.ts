@@ -0,0 +1,281 @@
+import { type FormatKey, battleFormat } from './battle-stats';
+
+/** Rating Elo por jugador a partir de las partidas terminadas.
+ *
+ *  El rating es función pura del orden de las partidas puntuables (por
+ *  `finished_at`), así que solo se guarda el historial
+ *  (`player_rating_history`, una fila por jugador y partida) y el rating
+ *  actual es su última fila. Una partida que llega en orden se añade al
+ *  final (si el historial no cambió entre la lectura y la escritura);
+ *  cualquier otra cosa (re-cierre, borrado, importación de una partida
+ *  antigua, fusión de alias) recalcula todo a partir de
+ *  `player_rating_battles`, los datos de entrada de cada partida puntuable,
+ *  sin volver a leer los snapshots.
+ *
+ *  Solo puntúan las `pvp`: en `pvc`/`cvc` al menos un asiento es la máquina y
+ *  no hay rival humano contra el que medir. Las de debug tampoco. */
+
+export const INITIAL_RATING = 1500;
+
+/** K alto mientras el rating aún no es fiable, más bajo después. */
+function kFactor(games: number): number {
+  return games < 30 ? 32 : 16;
+}
+
+/** Clave de jugador: el alias sin mayúsculas ni espacios sobrantes. */
+export function playerKey(alias: string): string {
+  return alias.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+interface RatedBattle {
+  id: string;
+  format: FormatKey;
+  alias1: string;
+  alias2: string;
+  winner: number | null;
+  playedAt: string;
+}
+
+interface HistoryRow {
+  battle_id: string;
+  player: string;
+  alias: string;
+  format: string;
+  opponent: string;
+  result: number;
+  rating_before: number;
+  rating_after: number;
+  played_at: string;
+}
+
+/** Partidas puntuables (pvp, terminadas, sin debug, con dos alias). Sin
+ *  `finished_at` (cerradas antes de la columna) vale `updated_at`. */
+const RATED_SQL = `
+  SELECT id, player1_alias, player2_alias, winner, initial_snapshot,
+         COALESCE(finished_at, updated_at) AS finished_at
+  FROM battle_reports
+  WHERE status = 'finished' AND COALESCE(mode, 'pvp') = 'pvp' AND is_debug = 0
+    AND TRIM(player1_alias) != '' AND TRIM(player2_alias) != ''`;
+
+interface RatedRow {
+  id: string;
+  player1_alias: string;
+  player2_alias: string;
+  winner: number | null;
+  initial_snapshot: string;
+  finished_at: string;
+}
+
+function toRated(r: RatedRow): RatedBattle {
+  let snapshot: unknown;
+  try { snapshot = JSON.parse(r.initial_snapshot); } catch { snapshot = null; }
+  return {
+    id: r.id, format: battleFormat(snapshot), alias1: r.player1_alias, alias2: r.player2_alias,
+    winner: r.winner, playedAt: r.finished_at,
+  };
+}
+
+/** Clave del jugador al que pertenece `alias`, resolviendo fusiones. */
+export async function resolvePlayer(db: D1Database, alias: string): Promise<string> {
+  const key = playerKey(alias);
+  const row = await db.prepare('SELECT player FROM player_aliases WHERE alias = ?').bind(key).first<{ player: string }>();
+  return row?.player ?? key;
+}
+
+/** Fusiones de alias: clave fusionada → clave destino. */
+async function loadMerges(db: D1Database): Promise<Map<string, string>> {
+  const rows = await db.prepare('SELECT alias, player FROM player_aliases').all<{ alias: string; player: string }>();
+  return new Map(rows.results.map(r => [r.alias, r.player]));
+}
+
+/** Filas de historial de una partida dadas las cuentas actuales
+ *  (`ratings` / `games` por `format:player`, que se actualizan). */
+function rateBattle(
+  b: RatedBattle, merges: Map<string, string>,
+  ratings: Map<string, number>, games: Map<string, number>,
+): HistoryRow[] {
+  const p1 = merges.get(playerKey(b.alias1)) ?? playerKey(b.alias1);
+  const p2 = merges.get(playerKey(b.alias2)) ?? playerKey(b.alias2);
+  // Tras una fusión puede quedar alguien jugando contra sí mismo
+  if (p1 === p2) return [];
+  const k1 = `${b.format}:${p1}`;
+  const k2 = `${b.format}:${p2}`;
+  const r1 = ratings.get(k1) ?? INITIAL_RATING;
+  const r2 = ratings.get(k2) ?? INITIAL_RATING;
+  const g1 = games.get(k1) ?? 0;
+  const g2 = games.get(k2) ?? 0;
+  const s1 = b.winner === 1 ? 1 : b.winner === 2 ? 0 : 0.5;
+  const e1 = 1 / (1 + 10 ** ((r2 - r1) / 400));
+  const n1 = r1 + kFactor(g1) * (s1 - e1);
+  const n2 = r2 + kFactor(g2) * ((1 - s1) - (1 - e1));
+  ratings.set(k1, n1);
+  ratings.set(k2, n2);
+  games.set(k1, g1 + 1);
+  games.set(k2, g2 + 1);
+  const row = (player: string, alias: string, opponent: string, result: number, before: number, after: number) => ({
+    battle_id: b.id, player, alias: alias.trim(), format: b.format, opponent, result,
+    rating_before: before, rating_after: after, played_at: b.playedAt,
+  });
+  return [row(p1, b.alias1, p2, s1, r1, n1), row(p2, b.alias2, p1, 1 - s1, r2, n2)];
+}
+
+/** Filas por sentencia: van como un único parámetro JSON (`json_each`). */
+const INSERT_CHUNK = 500;
+
+function insertHistoryStatements(db: D1Database, rows: HistoryRow[]): D1PreparedStatement[] {
+  const stmt = db.prepare(
+    `INSERT INTO player_rating_history
+       (battle_id, player, alias, format, opponent, result, rating_before, rating_after, played_at)
+     SELECT json_extract(value, '$.battle_id'), json_extract(value, '$.player'),
+            json_extract(value, '$.alias'), json_extract(value, '$.format'),
+            json_extract(value, '$.opponent'), json_extract(value, '$.result'),
+            json_extract(value, '$.rating_before'), json_extract(value, '$.rating_after'),
+            json_extract(value, '$.played_at')
+     FROM json_each(?)`
+  );
+  const stmts: D1PreparedStatement[] = [];
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    stmts.push(stmt.bind(JSON.stringify(rows.slice(i, i + INSERT_CHUNK))));
+  }
+  return stmts;
+}
+
+function insertInputStatements(db: D1Database, battles: RatedBattle[]): D1PreparedStatement[] {
+  const stmt = db.prepare(
+    `INSERT INTO player_rating_battles (battle_id, format, alias1, alias2, winner, finished_at)
+     SELECT json_extract(value, '$.id'), json_extract(value, '$.format'),
+            json_extract(value, '$.alias1'), json_extract(value, '$.alias2'),
+            json_extract(value, '$.winner'), json_extract(value, '$.playedAt')
+     FROM json_each(?)`
+  );
+  const stmts: D1PreparedStatement[] = [];
+  for (let i = 0; i < battles.length; i += INSERT_CHUNK) {
+    stmts.push(stmt.bind(JSON.stringify(battles.slice(i, i + INSERT_CHUNK))));
+  }
+  return stmts;
+}
+
+/** Rehace el historial entero desde `player_rating_battles`. Con `rescan`
+ *  (POST /api/leaderboard/rebuild) vuelve antes a sacar esos datos de
+ *  `battle_reports`. Devuelve el nº de partidas puntuadas. */
+export async function recomputeRatings(db: D1Database, rescan = false): Promise<number> {
+  let battles: RatedBattle[];
+  if (rescan) {
+    const rows = await db.prepare(`${RATED_SQL} ORDER BY finished_at ASC, id ASC`).all<RatedRow>();
+    battles = rows.results.map(toRated);
+  } else {
+    const rows = await db.prepare(
+      `SELECT battle_id AS id, format, alias1, alias2, winner, finished_at AS playedAt
+       FROM player_rating_battles ORDER BY finished_at ASC, battle_id ASC`
+    ).all<RatedBattle>();
+    battles = rows.results;
+  }
+  const merges = await loadMerges(db);
+  const ratings = new Map<string, number>();
+  const games = new Map<string, number>();
+  const rows = battles.flatMap(b => rateBattle(b, merges, ratings, games));
+  await db.batch([
+    ...(rescan ? [db.prepare('DELETE FROM player_rating_battles'), ...insertInputStatements(db, battles)] : []),
+    db.prepare('DELETE FROM player_rating_history'),
+    ...insertHistoryStatements(db, rows),
+  ]);
+  return rows.length / 2;
+}
+
+/** Pone al día los ratings tras cerrar, borrar o importar una partida (o
+ *  tras un cambio en su log que la haga de debug). */
+export async function syncRatings(db: D1Database, battleId: string): Promise<void> {
+  const stored = await db.prepare('SELECT 1 FROM player_rating_battles WHERE battle_id = ?')
+    .bind(battleId).first();
+  const existing = await db.prepare('SELECT 1 FROM player_rating_history WHERE battle_id = ? LIMIT 1')
+    .bind(battleId).first();
+  const row = await db.prepare(`${RATED_SQL} AND id = ?`).bind(battleId).first<RatedRow>();
+  if (!stored && !existing && !row) return;
+  const b = row ? toRated(row) : null;
+  const input = [
+    db.prepare('DELETE FROM player_rating_battles WHERE battle_id = ?').bind(battleId),
+    ...(b ? insertInputStatements(db, [b]) : []),
+  ];
+  const latest = await db.prepare('SELECT MAX(played_at) AS at FROM player_rating_history')
+    .first<{ at: string | null }>();
+  if (stored || existing || !b || (latest?.at && b.playedAt < latest.at)) {
+    await db.batch(input);
+    await recomputeRatings(db);
+    return;
+  }
+  // Va la última: basta con el rating y las partidas actuales de los dos
+  const merges = await loadMerges(db);
+  const players = [b.alias1, b.alias2].map(a => merges.get(playerKey(a)) ?? playerKey(a));
+  const current = await db.prepare(
+    `SELECT player, COUNT(*) AS games,
+            (SELECT h2.rating_after FROM player_rating_history h2
+             WHERE h2.player = h.player AND h2.format = h.format
+             ORDER BY h2.played_at DESC, h2.battle_id DESC LIMIT 1) AS rating
+     FROM player_rating_history h
+     WHERE format = ? AND player IN (?, ?)
+     GROUP BY player`
+  ).bind(b.format, players[0], players[1]).all<{ player: string; games: number; rating: number }>();
+  const ratings = new Map(current.results.map(c => [`${b.format}:${c.player}`, c.rating]));
+  const games = new Map(current.results.map(c => [`${b.format}:${c.player}`, c.games]));
+  const rows = rateBattle(b, merges, ratings, games);
+  if (!rows.length) {
+    await db.batch(input);
+    return;
+  }
+  // Lo leído puede haber cambiado (otra partida de los mismos jugadores,
+  // una posterior o un recálculo): se añade solo si sigue igual y, si no,
+  // se recalcula todo
+  const append = await db.batch([...input, appendHistoryStatement(db, rows, b.playedAt, players.map(p => {
+    const c = current.results.find(r => r.player === p);
+    return { player: p, games: c?.games ?? 0, rating: c?.rating ?? null };
+  }))]);
+  if (!append[append.length - 1].meta.changes) await recomputeRatings(db);
+}
+
+/** INSERT de las filas de una partida que se añade al final, condicionado
+ *  a que el historial siga como se leyó: nada posterior a `playedAt` y, por
+ *  jugador, las mismas partidas y el mismo último rating. */
+function appendHistoryStatement(
+  db: D1Database, rows: HistoryRow[], playedAt: string,
+  seen: { player: string; games: number; rating: number | null }[],
+): D1PreparedStatement {
+  const unchanged = `(SELECT COUNT(*) FROM player_rating_history WHERE format = ? AND player = ?) = ?
+    AND (SELECT rating_after FROM player_rating_history WHERE format = ? AND player = ?
+         ORDER BY played_at DESC, battle_id DESC LIMIT 1) IS ?`;
+  const format = rows[0].format;
+  return db.prepare(
+    `INSERT INTO player_rating_history
+       (battle_id, player, alias, format, opponent, result, rating_before, rating_after, played_at)
+     SELECT json_extract(value, '$.battle_id'), json_extract(value, '$.player'),
+            json_extract(value, '$.alias'), json_extract(value, '$.format'),
+            json_extract(value, '$.opponent'), json_extract(value, '$.result'),
+            json_extract(value, '$.rating_before'), json_extract(value, '$.rating_after'),
+            json_extract(value, '$.played_at')
+     FROM json_each(?)
+     WHERE COALESCE((SELECT MAX(played_at) FROM player_rating_history), '') <= ?
+       AND ${seen.map(() => unchanged).join(' AND ')}`
+  ).bind(
+    JSON.stringify(rows), playedAt,
+    ...seen.flatMap(p => [format, p.player, p.games, format, p.player, p.rating]),
+  );
+}
+
+/** Fusiona el alias `from` en `into` (mismo jugador) y recalcula. Las
+ *  fusiones que apuntaban a `from` pasan a apuntar a `into`. Devuelve false
+ *  si ya son el mismo jugador. */
+export async function mergePlayers(db: D1Database, from: string, into: string): Promise<boolean> {
+  const merges = await loadMerges(db);
+  const src = playerKey(from);
+  const dst = merges.get(playerKey(into)) ?? playerKey(into);
+  if (src === dst || merges.get(src) === dst) return false;
+  const now = new Date().toISOString();
+  await db.batch([
+    db.prepare('UPDATE player_aliases SET player = ? WHERE player = ?').bind(dst, src),
+    db.prepare(
+      `INSERT INTO player_aliases (alias, player, created_at) VALUES (?, ?, ?)
+       ON CONFLICT (alias) DO UPDATE SET player = excluded.player`
+    ).bind(src, dst, now),
+  ]);
+  await recomputeRatings(db);
+  return true;
+}
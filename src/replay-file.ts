@@ -0,0 +1,239 @@
+import { type BattleEvent, isBattleEvent, loadBattleEvents } from './battle-events';
+import { resolveListId, saveListStatement } from './list-ids';
+import { isScenarioPublic } from './scenario-publishing';
+import { validateScenarioData } from './scenario-validation';
+
+/** Formato portable `.fwreplay`: una partida completa (metadatos, listas,
+ *  escenario y log de eventos) en un único JSON, para moverla entre
+ *  entornos (p. ej. de `wrangler dev` a producción) o archivarla fuera de D1.
+ *
+ *  Cambios incompatibles → subir REPLAY_FORMAT_VERSION y seguir aceptando
+ *  las versiones anteriores en `validateReplayFile` / `importReplayFile`. */
+
+export const REPLAY_FORMAT = 'fwreplay';
+export const REPLAY_FORMAT_VERSION = 1;
+
+export interface ReplayFile {
+  format: typeof REPLAY_FORMAT;
+  version: number;
+  exportedAt: string;
+  battle: {
+    id: string;
+    title: string;
+    scenarioId: string | null;
+    list1Id: string;
+    list2Id: string;
+    player1Alias: string;
+    player2Alias: string;
+    status: string;
+    winner: number | null;
+    mode: string;
+    initialSnapshot: unknown;
+    finalState: unknown;
+    createdAt: string;
+    updatedAt: string;
+    /** Ausente en ficheros exportados antes de la columna. */
+    finishedAt?: string | null;
+  };
+  /** Listas referenciadas por list1Id/list2Id, por id. */
+  lists: Record<string, { data: unknown; createdAt: string }>;
+  /** `published`: ausente en ficheros exportados antes de los borradores
+   *  (entonces todo era público). */
+  scenario: { id: string; title: string; data: unknown; published?: boolean } | null;
+  events: BattleEvent[];
+}
+
+/** Construye el fichero de una partida; null si no existe. */
+export async function buildReplayFile(db: D1Database, battleId: string): Promise<ReplayFile | null> {
+  const row = await db.prepare(
+    `SELECT id, title, scenario_id, list1_id, list2_id, player1_alias, player2_alias,
+            status, winner, COALESCE(mode, 'pvp') AS mode,
+            initial_snapshot, final_state, created_at, updated_at, finished_at
+     FROM battle_reports WHERE id = ?`
+  ).bind(battleId).first<{
+    id: string; title: string; scenario_id: string | null; list1_id: string; list2_id: string;
+    player1_alias: string; player2_alias: string; status: string; winner: number | null;
+    mode: string; initial_snapshot: string; final_state: string | null;
+    created_at: string; updated_at: string; finished_at: string | null;
+  }>();
+  if (!row) return null;
+  const listRows = await db.prepare('SELECT id, data, created_at FROM lists WHERE id IN (?, ?)')
+    .bind(row.list1_id, row.list2_id).all<{ id: string; data: string; created_at: string }>();
+  const scenario = row.scenario_id
+    ? await db.prepare('SELECT id, title, data, published, publish_at FROM scenarios WHERE id = ?')
+      .bind(row.scenario_id).first<{ id: string; title: string; data: string; published: number; publish_at: string | null }>()
+    : null;
+  const events = await loadBattleEvents(db, row.id);
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    battle: {
+      id: row.id,
+      title: row.title,
+      scenarioId: row.scenario_id,
+      list1Id: row.list1_id,
+      list2Id: row.list2_id,
+      player1Alias: row.player1_alias,
+      player2Alias: row.player2_alias,
+      status: row.status,
+      winner: row.winner,
+      mode: row.mode,
+      initialSnapshot: JSON.parse(row.initial_snapshot),
+      finalState: row.final_state ? JSON.parse(row.final_state) : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      finishedAt: row.finished_at,
+    },
+    lists: Object.fromEntries(listRows.results.map(l => [l.id, { data: JSON.parse(l.data), createdAt: l.created_at }])),
+    scenario: scenario
+      ? { id: scenario.id, title: scenario.title, data: JSON.parse(scenario.data), published: isScenarioPublic(scenario) }
+      : null,
+    events: events.map(({ seq: _seq, ...ev }) => ev),
+  };
+}
+
+/** Errores de forma del fichero (vacío = válido). */
+export function validateReplayFile(v: unknown): string[] {
+  const errors: string[] = [];
+  const f = v as Partial<ReplayFile> | null;
+  if (!f || typeof f !== 'object') return ['not an object'];
+  if (f.format !== REPLAY_FORMAT) errors.push(`format must be "${REPLAY_FORMAT}"`);
+  if (f.version !== REPLAY_FORMAT_VERSION) {
+    errors.push(`unsupported version ${String(f.version)} (supported: ${REPLAY_FORMAT_VERSION})`);
+  }
+  const b = f.battle;
+  if (!b || typeof b !== 'object') {
+    errors.push('battle missing');
+  } else {
+    if (typeof b.title !== 'string' || !b.title) errors.push('battle.title missing');
+    if (typeof b.list1Id !== 'string' || typeof b.list2Id !== 'string') errors.push('battle.list1Id/list2Id missing');
+    if (!b.initialSnapshot) errors.push('battle.initialSnapshot missing');
+    if (!['in_progress', 'finished'].includes(b.status)) errors.push('battle.status must be in_progress or finished');
+  }
+  if (!f.lists || typeof f.lists !== 'object' || Array.isArray(f.lists)) errors.push('lists missing');
+  else {
+    const isObject = (x: unknown) => !!x && typeof x === 'object' && !Array.isArray(x);
+    for (const [id, list] of Object.entries(f.lists)) {
+      if (!isObject(list) || !isObject(list.data)) errors.push(`lists.${id}.data must be an object`);
+    }
+  }
+  if (!Array.isArray(f.events)) errors.push('events must be an array');
+  else if (!f.events.every(isBattleEvent)) errors.push('each event needs a string kind');
+  return errors;
+}
+
+/** Eventos por sentencia al importar. Cada bloque va como un único
+ *  parámetro JSON desplegado con `json_each`, en vez de un INSERT por evento
+ *  (un log largo superaría el límite de consultas por invocación). */
+const IMPORT_CHUNK = 500;
+
+function insertEventsStatements(db: D1Database, battleId: string, events: BattleEvent[]): D1PreparedStatement[] {
+  const stmt = db.prepare(
+    `INSERT INTO battle_events (battle_id, seq, turn, phase, kind, payload)
+     SELECT ?, ? + CAST(e.key AS INTEGER),
+            json_extract(e.value, '$.turn'), json_extract(e.value, '$.phase'),
+            json_extract(e.value, '$.kind'), COALESCE(json_extract(e.value, '$.payload'), '{}')
+     FROM json_each(?) e`
+  );
+  const stmts: D1PreparedStatement[] = [];
+  for (let i = 0; i < events.length; i += IMPORT_CHUNK) {
+    const chunk = events.slice(i, i + IMPORT_CHUNK).map(ev => ({
+      turn: ev.turn ?? null, phase: ev.phase ?? null, kind: ev.kind, payload: ev.payload ?? {},
+    }));
+    stmts.push(stmt.bind(battleId, i, JSON.stringify(chunk)));
+  }
+  return stmts;
+}
+
+export interface ImportResult {
+  id: string;
+  createdLists: string[];
+  createdScenario: string | null;
+  warnings: string[];
+}
+
+/** Da de alta la partida con `newId`. Las listas que falten se crean con su
+ *  id de contenido; el escenario conserva su id original. Lo que ya existe
+ *  se reutiliza. */
+export async function importReplayFile(db: D1Database, f: ReplayFile, newId: string): Promise<ImportResult> {
+  const b = f.battle;
+  const now = new Date().toISOString();
+  const stmts: D1PreparedStatement[] = [];
+  const warnings: string[] = [];
+
+  // Las listas se guardan por id de contenido: si la misma lista ya está
+  // aquí (con cualquier id), la partida apunta a esa
+  const createdLists: string[] = [];
+  const listIds = new Map<string, string>();
+  for (const fileId of new Set([b.list1Id, b.list2Id])) {
+    const localId = await resolveListId(db, fileId);
+    const exists = await db.prepare('SELECT 1 FROM lists WHERE id = ?').bind(localId).first();
+    const list = f.lists[fileId];
+    if (exists || !list) {
+      if (!exists) warnings.push(`list ${fileId} not in file and not in this database`);
+      listIds.set(fileId, localId);
+      continue;
+    }
+    const { id, stmt } = await saveListStatement(db, list.data as { programmer?: unknown }, { createdAt: list.createdAt ?? now });
+    listIds.set(fileId, id);
+    if (!await db.prepare('SELECT 1 FROM lists WHERE id = ?').bind(id).first()) {
+      stmts.push(stmt);
+      createdLists.push(id);
+    }
+  }
+
+  let scenarioId = b.scenarioId ?? null;
+  let createdScenario: string | null = null;
+  if (scenarioId) {
+    const exists = await db.prepare('SELECT 1 FROM scenarios WHERE id = ?').bind(scenarioId).first();
+    if (!exists && f.scenario?.id === scenarioId) {
+      const data = { ...(f.scenario.data as Record<string, unknown>) };
+      // Entra sin acto y, por tanto, sin número (ver `./acts`): el del
+      // fichero era el de su estructura de origen
+      if (data['numeroEscenario'] != null) {
+        warnings.push(`numeroEscenario ${String(data['numeroEscenario'])} dropped; place the scenario in an act to number it`);
+      }
+      delete data['numeroEscenario'];
+      delete data['acto'];
+      // Se importa igualmente: lo que no cuadre aquí queda como aviso
+      const report = await validateScenarioData(db, data);
+      for (const issue of report.issues) {
+        warnings.push(`scenario ${issue.code}${issue.path ? ` at ${issue.path}` : ''}: ${issue.message}`);
+      }
+      // Publicado como en el origen: un borrador aquí dejaría la partida
+      // apuntando a un escenario que el público no ve
+      const published = f.scenario.published !== false;
+      if (!published) warnings.push(`scenario ${scenarioId} imported as a draft; publish it to show it with the battle`);
+      stmts.push(db.prepare(
+        `INSERT INTO scenarios (id, title, data, published, published_at, publish_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, NULL, ?, ?)`
+      ).bind(scenarioId, f.scenario.title, JSON.stringify(data), published ? 1 : 0, published ? now : null, now, now));
+      createdScenario = scenarioId;
+    } else if (!exists) {
+      warnings.push(`scenario ${scenarioId} not in file and not in this database; reference dropped`);
+      scenarioId = null;
+    }
+  }
+
+  const mode = ['pvp', 'pvc', 'cvc'].includes(b.mode) ? b.mode : 'pvp';
+  stmts.push(
+    db.prepare(
+      `INSERT INTO battle_reports
+       (id, title, scenario_id, list1_id, list2_id, player1_alias, player2_alias,
+        status, winner, mode, initial_snapshot, events, final_state, is_debug, created_at, updated_at, finished_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, '[]', ?, ?, ?, ?, ?)`
+    ).bind(
+      newId, b.title, scenarioId, listIds.get(b.list1Id), listIds.get(b.list2Id), b.player1Alias ?? '', b.player2Alias ?? '',
+      b.status, b.winner ?? null, mode, JSON.stringify(b.initialSnapshot),
+      b.finalState ? JSON.stringify(b.finalState) : null,
+      f.events.some(e => e.kind === 'debug_enabled') ? 1 : 0,
+      b.createdAt ?? now, now,
+      // Conserva su sitio en el orden de los ratings
+      b.status === 'finished' ? b.finishedAt ?? b.updatedAt ?? now : null,
+    ),
+    ...insertEventsStatements(db, newId, f.events),
+  );
+  await db.batch(stmts);
+  return { id: newId, createdLists, createdScenario, warnings };
+}
@@ -0,0 +1,182 @@
+/** Historial de revisiones del contenido editable por admin: escenarios,
+ *  amenazas, funciones, tipos de hex, posts y FAQs.
+ *
+ *  Antes de cada UPDATE o DELETE va, en el mismo batch, `revisionStatement`,
+ *  que copia la fila tal y como estaba a `revisions` (JSON con sus columnas).
+ *  La revisión N es la versión que había antes del cambio N; `action` dice
+ *  qué la sustituyó (`update`, `delete`, `restore` o `replace` al borrar un
+ *  elemento del catálogo con `?replaceWith=`). */
+
+export type RevisionEntity = 'scenarios' | 'threats' | 'functions' | 'hex-types' | 'posts' | 'faqs';
+export type RevisionAction = 'update' | 'delete' | 'restore' | 'replace';
+
+interface EntityDef {
+  table: string;
+  /** Columnas copiadas en cada revisión (todas menos `id`). */
+  columns: string[];
+  /** Las que vuelven al restaurar sobre una fila que sigue existiendo (la
+   *  posición en la campaña, las fechas… se quedan como están). */
+  restore: string[];
+  /** Columnas TEXT con JSON: el diff entra en ellas. */
+  json: string[];
+  updatedAt: boolean;
+}
+
+export const REVISIONED: Record<RevisionEntity, EntityDef> = {
+  scenarios: {
+    table: 'scenarios',
+    columns: ['title', 'data', 'act_id', 'act_position', 'published', 'published_at', 'publish_at', 'created_at', 'updated_at'],
+    restore: ['title', 'data'],
+    json: ['data'],
+    updatedAt: true,
+  },
+  threats: {
+    table: 'threats',
+    columns: ['name', 'description', 'data', 'created_at', 'updated_at'],
+    restore: ['name', 'description', 'data'],
+    json: ['data'],
+    updatedAt: true,
+  },
+  functions: {
+    table: 'functions',
+    columns: ['func_name', 'func_type', 'version', 'range', 'damage', 'energy', 'cost', 'effects'],
+    restore: ['func_name', 'func_type', 'version', 'range', 'damage', 'energy', 'cost', 'effects'],
+    json: [],
+    updatedAt: false,
+  },
+  'hex-types': {
+    table: 'hex_types',
+    columns: ['name', 'color', 'border_color', 'properties', 'created_at'],
+    restore: ['name', 'color', 'border_color', 'properties'],
+    json: ['properties'],
+    updatedAt: false,
+  },
+  posts: {
+    table: 'posts',
+    columns: ['slug', 'title', 'content', 'header_image', 'published', 'published_at', 'created_at', 'updated_at'],
+    restore: ['slug', 'title', 'content', 'header_image', 'published', 'published_at'],
+    json: [],
+    updatedAt: true,
+  },
+  faqs: {
+    table: 'faqs',
+    columns: ['question', 'answer', 'sort_order', 'published', 'created_at', 'updated_at'],
+    restore: ['question', 'answer', 'sort_order', 'published'],
+    json: [],
+    updatedAt: true,
+  },
+};
+
+/** Tope de cambios en un diff (un `hexMap` regenerado cambia cientos de
+ *  casillas). */
+const MAX_CHANGES = 500;
+
+export type Snapshot = Record<string, unknown>;
+
+export interface RevisionChange {
+  /** Ruta del valor, p. ej. `data.hexMap.hexes[12].typeId`. */
+  path: string;
+  /** Valor en la revisión. */
+  before: unknown;
+  /** Valor actual (undefined si ya no está). */
+  after: unknown;
+}
+
+const q = (column: string) => `"${column}"`;
+
+/** Copia la fila `id` tal y como está a `revisions`. No inserta nada si la
+ *  fila no existe, así que puede ir delante de un UPDATE que acabe en 404. */
+export function revisionStatement(
+  db: D1Database, entity: RevisionEntity, id: string, action: RevisionAction,
+): D1PreparedStatement {
+  const def = REVISIONED[entity];
+  return db.prepare(
+    `INSERT INTO revisions (entity, entity_id, rev, action, snapshot, created_at)
+     SELECT ?1, t.id,
+            COALESCE((SELECT MAX(rev) FROM revisions WHERE entity = ?1 AND entity_id = t.id), 0) + 1,
+            ?2, json_object(${def.columns.map(c => `'${c}', t.${q(c)}`).join(', ')}), ?3
+     FROM ${def.table} t WHERE t.id = ?4`
+  ).bind(entity, action, new Date().toISOString(), id);
+}
+
+export async function listRevisions(db: D1Database, entity: RevisionEntity, id: string) {
+  const rows = await db.prepare(
+    'SELECT rev, action, created_at FROM revisions WHERE entity = ? AND entity_id = ? ORDER BY rev DESC'
+  ).bind(entity, id).all<{ rev: number; action: RevisionAction; created_at: string }>();
+  return rows.results;
+}
+
+export async function loadRevision(db: D1Database, entity: RevisionEntity, id: string, rev: number): Promise<Snapshot | null> {
+  const row = await db.prepare('SELECT snapshot FROM revisions WHERE entity = ? AND entity_id = ? AND rev = ?')
+    .bind(entity, id, rev).first<{ snapshot: string }>();
+  return row ? JSON.parse(row.snapshot) : null;
+}
+
+/** La fila actual con las mismas columnas que una revisión. */
+export async function loadCurrent(db: D1Database, entity: RevisionEntity, id: string): Promise<Snapshot | null> {
+  const def = REVISIONED[entity];
+  return db.prepare(`SELECT ${def.columns.map(q).join(', ')} FROM ${def.table} WHERE id = ?`)
+    .bind(id).first<Snapshot>();
+}
+
+function parseJsonColumn(value: unknown): unknown {
+  if (typeof value !== 'string') return value;
+  try { return JSON.parse(value); } catch { return value; }
+}
+
+function diffValues(before: unknown, after: unknown, path: string, out: RevisionChange[]): void {
+  if (out.length >= MAX_CHANGES) return;
+  const isObject = (v: unknown) => !!v && typeof v === 'object' && !Array.isArray(v);
+  if (Array.isArray(before) && Array.isArray(after)) {
+    for (let i = 0; i < Math.max(before.length, after.length); i++) diffValues(before[i], after[i], `${path}[${i}]`, out);
+    return;
+  }
+  if (isObject(before) && isObject(after)) {
+    const a = before as Snapshot;
+    const b = after as Snapshot;
+    for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) diffValues(a[k], b[k], path ? `${path}.${k}` : k, out);
+    return;
+  }
+  if (JSON.stringify(before) !== JSON.stringify(after)) out.push({ path, before, after });
+}
+
+/** Cambios de la revisión `before` a la versión actual `after` (null si se
+ *  borró). Las columnas JSON se comparan campo a campo. */
+export function diffSnapshots(
+  entity: RevisionEntity, before: Snapshot, after: Snapshot | null,
+): { changes: RevisionChange[]; truncated: boolean } {
+  const json = new Set(REVISIONED[entity].json);
+  const changes: RevisionChange[] = [];
+  for (const column of REVISIONED[entity].columns) {
+    const parse = (v: unknown) => (json.has(column) ? parseJsonColumn(v) : v);
+    diffValues(parse(before[column]), after ? parse(after[column]) : undefined, column, changes);
+  }
+  return { changes, truncated: changes.length >= MAX_CHANGES };
+}
+
+/** Sentencias para volver a la revisión: guarda antes la versión actual (si
+ *  la fila existe) y la sobrescribe, o vuelve a crear la fila borrada con
+ *  todas sus columnas. */
+export function restoreStatements(
+  db: D1Database, entity: RevisionEntity, id: string, snapshot: Snapshot, exists: boolean,
+): D1PreparedStatement[] {
+  const def = REVISIONED[entity];
+  const now = new Date().toISOString();
+  if (exists) {
+    const columns = def.restore;
+    const sets = [...columns.map(c => `${q(c)} = ?`), ...(def.updatedAt ? ['updated_at = ?'] : [])];
+    return [
+      revisionStatement(db, entity, id, 'restore'),
+      db.prepare(`UPDATE ${def.table} SET ${sets.join(', ')} WHERE id = ?`)
+        .bind(...columns.map(c => snapshot[c] ?? null), ...(def.updatedAt ? [now] : []), id),
+    ];
+  }
+  const values: Snapshot = { ...snapshot, ...(def.updatedAt ? { updated_at: now } : {}) };
+  // Una revisión anterior a una columna nueva no la trae: se queda el
+  // valor por defecto de la tabla
+  const columns = def.columns.filter(c => c in values);
+  return [
+    db.prepare(`INSERT INTO ${def.table} (id, ${columns.map(q).join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`)
+      .bind(id, ...columns.map(c => values[c] ?? null)),
+  ];
+}
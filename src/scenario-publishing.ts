@@ -0,0 +1,75 @@
+/** Borrador / publicado en escenarios (como `published` en posts y FAQs).
+ *
+ *  Un escenario nuevo es borrador: el listado, el detalle, el mapa, los actos
+ *  y la campaña públicos no lo ven hasta que se publica, a mano
+ *  (`published: true`) o al llegar `publishAt`. Las lecturas ya lo tratan
+ *  como publicado en cuanto vence la fecha (`isScenarioPublic`); el cron
+ *  solo pasa después las columnas a `published = 1`. Publicar no cambia la
+ *  numeración: los borradores ya tienen su número (ver `./acts`).
+ *  Los playtesters abren un borrador con un token de vista previa que
+ *  caduca (`scenario_previews`), sin credenciales de admin. */
+
+/** Duración por defecto y máxima de un enlace de vista previa. */
+export const PREVIEW_DEFAULT_HOURS = 72;
+export const PREVIEW_MAX_HOURS = 24 * 30;
+
+/** ¿Lo ve el público ahora? Publicado, o con `publish_at` vencida aunque el
+ *  cron aún no haya pasado. */
+export function isScenarioPublic(
+  row: { published: number; publish_at: string | null }, now = new Date().toISOString(),
+): boolean {
+  return row.published === 1 || (row.publish_at !== null && row.publish_at <= now);
+}
+
+/** Lo mismo para un `WHERE` sobre `scenarios s`; se enlaza con la fecha
+ *  actual en ISO. */
+export const PUBLIC_SCENARIO_SQL = '(s.published = 1 OR s.publish_at <= ?)';
+
+/** `publishAt` del body normalizado a ISO. undefined = no viene, null =
+ *  quitar la programación; lanza si no es una fecha. */
+export function parsePublishAt(value: unknown): string | null | undefined {
+  if (value === undefined || value === null) return value;
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) throw new Error('publishAt must be an ISO date or null');
+  return new Date(time).toISOString();
+}
+
+/** Columnas de publicación tras guardar: `publishAt` ya vencida publica en
+ *  el momento; publicar quita la programación. */
+export function publicationState(
+  published: boolean, publishAt: string | null, prevPublishedAt: string | null, now: string,
+): { published: 0 | 1; published_at: string | null; publish_at: string | null } {
+  const live = published || (publishAt !== null && publishAt <= now);
+  return {
+    published: live ? 1 : 0,
+    published_at: live ? prevPublishedAt ?? now : prevPublishedAt,
+    publish_at: live ? null : publishAt,
+  };
+}
+
+/** ¿Abre `token` el borrador `scenarioId` ahora mismo? */
+export async function previewAllowed(db: D1Database, scenarioId: string, token: string | null): Promise<boolean> {
+  if (!token) return false;
+  const row = await db.prepare('SELECT 1 FROM scenario_previews WHERE token = ? AND scenario_id = ? AND expires_at > ?')
+    .bind(token, scenarioId, new Date().toISOString()).first();
+  return !!row;
+}
+
+/** Cron: marca como publicados los escenarios con `publish_at` vencida y
+ *  borra los tokens de vista previa caducados. Devuelve cuántos publicó. */
+export async function publishDueScenarios(db: D1Database): Promise<number> {
+  const now = new Date().toISOString();
+  const due = await db.prepare('SELECT id FROM scenarios WHERE published = 0 AND publish_at <= ?')
+    .bind(now).all<{ id: string }>();
+  const ids = due.results.map(r => r.id);
+  await db.batch([
+    ...(ids.length ? [
+      db.prepare(
+        `UPDATE scenarios SET published = 1, published_at = COALESCE(published_at, publish_at), publish_at = NULL
+         WHERE id IN (SELECT value FROM json_each(?))`
+      ).bind(JSON.stringify(ids)),
+    ] : []),
+    db.prepare('DELETE FROM scenario_previews WHERE expires_at <= ?').bind(now),
+  ]);
+  return ids.length;
+}
@@ -0,0 +1,207 @@
+/** Validación referencial del `data` de un escenario (POST/PUT
+ *  /api/scenarios y el dry-run POST /api/scenarios/validate).
+ *
+ *  Comprueba:
+ *  - `hexMap.hexes[].typeId`: existe en los `hexTypes` embebidos o en la
+ *    tabla compartida `hex_types`; sin casillas repetidas.
+ *  - `hexMap.deployments[]`: sobre una casilla del mapa y transitable (tipo
+ *    sin `properties.traversable` a false); sin dos en la misma.
+ *  - `team` de cada despliegue: entero de 1 a `numeroJugadores` (el mismo
+ *    esquema que dibuja `./hex-map-svg`); obligatorio en los de jugador.
+ *  - Con despliegue en mapa, un equipo de despliegue por jugador
+ *    (`numeroJugadores`) con `numeroBots` casillas cada uno. Si falta alguno
+ *    de los dos solo se avisa y no se cuenta nada.
+ *  - `amenazaCounts` / `amenazaTurnos`: las claves son ids de `threats`.
+ *  - `linkedFunctions`: ids de `functions`.
+ *
+ *  Igual que la legalidad de listas: los errores bloquean el guardado, los
+ *  avisos no. */
+
+export interface ScenarioIssue {
+  severity: 'error' | 'warning';
+  code: string;
+  message: string;
+  /** Ruta dentro de `data`, p. ej. `hexMap.hexes[12].typeId`. */
+  path?: string;
+}
+
+export interface ScenarioReport {
+  valid: boolean;
+  issues: ScenarioIssue[];
+}
+
+interface HexType {
+  id?: unknown;
+  properties?: unknown;
+}
+
+/** `properties` de un tipo de hex como objeto: en `hex_types` es TEXT y a
+ *  veces es una descripción libre, no JSON. */
+function hexProperties(raw: unknown): Record<string, unknown> {
+  if (typeof raw === 'string') {
+    try { raw = JSON.parse(raw); } catch { return {}; }
+  }
+  return raw && typeof raw === 'object' && !Array.isArray(raw) ? raw as Record<string, unknown> : {};
+}
+
+function isTraversable(type: HexType | undefined): boolean {
+  const t = hexProperties(type?.properties).traversable;
+  return t !== false && t !== 'false';
+}
+
+function objectKeys(value: unknown): string[] {
+  return value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+}
+
+export async function validateScenarioData(db: D1Database, data: unknown): Promise<ScenarioReport> {
+  const issues: ScenarioIssue[] = [];
+  const d = (data ?? {}) as Record<string, unknown>;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    issues.push({ severity: 'error', code: 'invalid_data', message: 'data must be an object' });
+    return { valid: false, issues };
+  }
+
+  let hexMap = d.hexMap as { hexTypes?: unknown; hexes?: unknown; deployments?: unknown } | string | undefined;
+  if (typeof hexMap === 'string') {
+    try { hexMap = JSON.parse(hexMap); } catch {
+      issues.push({ severity: 'error', code: 'invalid_hex_map', path: 'hexMap', message: 'hexMap is not valid JSON' });
+      hexMap = undefined;
+    }
+  }
+  const map = (hexMap ?? {}) as { hexTypes?: unknown; hexes?: unknown; deployments?: unknown };
+  const hexes = Array.isArray(map.hexes) ? map.hexes as { q?: unknown; r?: unknown; typeId?: unknown }[] : [];
+  const deployments = Array.isArray(map.deployments)
+    ? map.deployments as { q?: unknown; r?: unknown; type?: unknown; team?: unknown }[]
+    : [];
+  if (d.hexMap !== undefined && !Array.isArray(map.hexes)) {
+    issues.push({ severity: 'error', code: 'invalid_hex_map', path: 'hexMap.hexes', message: 'hexMap.hexes must be an array' });
+  }
+
+  // Los catálogos compartidos, de una vez
+  const threatIds = [...new Set([...objectKeys(d.amenazaCounts), ...objectKeys(d.amenazaTurnos)])];
+  const linked = Array.isArray(d.linkedFunctions) ? d.linkedFunctions : [];
+  const [sharedTypes, threats, functions] = await db.batch([
+    db.prepare('SELECT id, properties FROM hex_types'),
+    db.prepare('SELECT id FROM threats WHERE id IN (SELECT value FROM json_each(?))').bind(JSON.stringify(threatIds)),
+    db.prepare('SELECT id FROM functions WHERE id IN (SELECT value FROM json_each(?))')
+      .bind(JSON.stringify(linked.filter(f => typeof f === 'string'))),
+  ]);
+
+  const types = new Map<string, HexType>(
+    (sharedTypes.results as { id: string; properties: string }[]).map(t => [t.id, t]),
+  );
+  // Los embebidos mandan sobre los compartidos (pueden llevar propiedades propias)
+  for (const t of Array.isArray(map.hexTypes) ? map.hexTypes as HexType[] : []) {
+    if (typeof t?.id === 'string') types.set(t.id, t);
+  }
+
+  const board = new Map<string, HexType | undefined>();
+  hexes.forEach((h, i) => {
+    const key = `${h?.q},${h?.r}`;
+    if (!Number.isInteger(h?.q) || !Number.isInteger(h?.r)) {
+      issues.push({ severity: 'error', code: 'invalid_hex', path: `hexMap.hexes[${i}]`, message: 'q and r must be integers' });
+      return;
+    }
+    if (board.has(key)) {
+      issues.push({ severity: 'error', code: 'duplicate_hex', path: `hexMap.hexes[${i}]`, message: `hex ${key} appears more than once` });
+    }
+    const type = typeof h.typeId === 'string' ? types.get(h.typeId) : undefined;
+    if (!type) {
+      issues.push({
+        severity: 'error', code: 'unknown_hex_type', path: `hexMap.hexes[${i}].typeId`,
+        message: `hex type ${String(h.typeId)} is neither embedded in hexMap.hexTypes nor in hex_types`,
+      });
+    }
+    board.set(key, type);
+  });
+
+  const occupied = new Set<string>();
+  deployments.forEach((dep, i) => {
+    const key = `${dep?.q},${dep?.r}`;
+    if (!board.has(key)) {
+      issues.push({ severity: 'error', code: 'deployment_off_map', path: `hexMap.deployments[${i}]`, message: `deployment at ${key} is not on the map` });
+    } else if (!isTraversable(board.get(key))) {
+      issues.push({ severity: 'error', code: 'deployment_not_traversable', path: `hexMap.deployments[${i}]`, message: `deployment at ${key} sits on a non-traversable hex` });
+    }
+    if (occupied.has(key)) {
+      issues.push({ severity: 'error', code: 'duplicate_deployment', path: `hexMap.deployments[${i}]`, message: `more than one deployment at ${key}` });
+    }
+    occupied.add(key);
+  });
+
+  const bots = d.numeroBots;
+  const players = d.numeroJugadores;
+  for (const [field, value] of [['numeroBots', bots], ['numeroJugadores', players]] as const) {
+    if (value == null) {
+      issues.push({ severity: 'warning', code: 'missing_field', path: field, message: `${field} is not set` });
+    } else if (!Number.isInteger(value) || (value as number) < 1) {
+      issues.push({ severity: 'error', code: 'invalid_field', path: field, message: `${field} must be a positive integer` });
+    }
+  }
+  // Sin `type` es de jugador, como en el editor y en el SVG
+  const isPlayer = (dep: { type?: unknown } | undefined) => (dep?.type ?? 'player') === 'player';
+  const maxTeam = Number.isInteger(players) && (players as number) > 0 ? players as number : Infinity;
+  deployments.forEach((dep, i) => {
+    if (dep?.team == null && !isPlayer(dep)) return;
+    if (!Number.isInteger(dep?.team) || (dep.team as number) < 1 || (dep.team as number) > maxTeam) {
+      issues.push({
+        severity: 'error', code: 'invalid_team', path: `hexMap.deployments[${i}].team`,
+        message: `team must be an integer from 1 to ${Number.isFinite(maxTeam) ? maxTeam : 'numeroJugadores'}`,
+      });
+    }
+  });
+  // Con despliegue por puntos (`despliegueDots`) el mapa no lleva casillas;
+  // sin mapa todavía, tampoco hay nada que contar
+  if ((d.despliegueMode ?? 'map') === 'map' && hexes.length && Number.isInteger(bots) && Number.isInteger(players)) {
+    const perTeam = new Map<number, number>();
+    for (const dep of deployments) {
+      if (!isPlayer(dep) || !Number.isInteger(dep.team)) continue;
+      const team = dep.team as number;
+      perTeam.set(team, (perTeam.get(team) ?? 0) + 1);
+    }
+    if (perTeam.size !== players) {
+      issues.push({
+        severity: 'error', code: 'deployment_teams', path: 'hexMap.deployments',
+        message: `numeroJugadores is ${players} but there are deployments for ${perTeam.size} team(s)`,
+      });
+    }
+    for (const [team, count] of perTeam) {
+      if (count !== bots) {
+        issues.push({
+          severity: 'error', code: 'deployment_count', path: 'hexMap.deployments',
+          message: `team ${team} has ${count} deployment(s), numeroBots is ${bots}`,
+        });
+      }
+    }
+  }
+
+  const knownThreats = new Set((threats.results as { id: string }[]).map(t => t.id));
+  for (const field of ['amenazaCounts', 'amenazaTurnos'] as const) {
+    if (d[field] != null && (typeof d[field] !== 'object' || Array.isArray(d[field]))) {
+      issues.push({ severity: 'error', code: 'invalid_field', path: field, message: `${field} must be an object keyed by threat id` });
+      continue;
+    }
+    for (const id of objectKeys(d[field])) {
+      if (!knownThreats.has(id)) {
+        issues.push({ severity: 'error', code: 'unknown_threat', path: `${field}.${id}`, message: `threat ${id} does not exist` });
+      }
+    }
+  }
+  for (const id of objectKeys(d.amenazaTurnos)) {
+    if (!objectKeys(d.amenazaCounts).includes(id)) {
+      issues.push({ severity: 'warning', code: 'turns_without_count', path: `amenazaTurnos.${id}`, message: `threat ${id} has turns but no count` });
+    }
+  }
+
+  if (d.linkedFunctions !== undefined && !Array.isArray(d.linkedFunctions)) {
+    issues.push({ severity: 'error', code: 'invalid_field', path: 'linkedFunctions', message: 'linkedFunctions must be an array of function ids' });
+  }
+  const knownFunctions = new Set((functions.results as { id: string }[]).map(f => f.id));
+  linked.forEach((id, i) => {
+    if (typeof id !== 'string' || !knownFunctions.has(id)) {
+      issues.push({ severity: 'error', code: 'unknown_function', path: `linkedFunctions[${i}]`, message: `function ${String(id)} does not exist` });
+    }
+  });
+
+  return { valid: !issues.some(i => i.severity === 'error'), issues };
+}
@@ -0,0 +1,215 @@
+/** Torneos con emparejamiento suizo.
+ *
+ *  Puntuación: victoria 3, empate 1, derrota 0; un bye cuenta como victoria.
+ *  Desempates, por este orden: Buchholz (suma de los puntos de los rivales),
+ *  Sonneborn-Berger (puntos de los rivales vencidos + la mitad de los
+ *  empatados), victorias y alias.
+ *
+ *  La clasificación no se guarda: sale siempre de las mesas reportadas, así
+ *  que corregir un resultado antiguo la deja al día sin más. */
+
+export const MATCH_POINTS = { win: 3, draw: 1, loss: 0 };
+
+/** Tope de intentos del backtracking antes de permitir revanchas. */
+const MAX_PAIRING_STEPS = 100_000;
+
+export interface TournamentRow {
+  id: string;
+  name: string;
+  status: 'registration' | 'in_progress' | 'finished';
+  rounds: number | null;
+  budget: number | null;
+  current_round: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface PlayerRow {
+  player: string;
+  alias: string;
+  list_id: string;
+  dropped_round: number | null;
+  registered_at: string;
+}
+
+export interface MatchRow {
+  round: number;
+  table_no: number;
+  player1: string;
+  player2: string | null;
+  winner: number | null;
+  battle_id: string | null;
+  reported_at: string | null;
+}
+
+export interface Standing {
+  rank: number;
+  player: string;
+  alias: string;
+  listId: string;
+  dropped: boolean;
+  points: number;
+  played: number;
+  wins: number;
+  draws: number;
+  losses: number;
+  byes: number;
+  buchholz: number;
+  sonnebornBerger: number;
+}
+
+export async function loadTournament(
+  db: D1Database, id: string,
+): Promise<{ tournament: TournamentRow; players: PlayerRow[]; matches: MatchRow[] } | null> {
+  const tournament = await db.prepare('SELECT * FROM tournaments WHERE id = ?').bind(id).first<TournamentRow>();
+  if (!tournament) return null;
+  const [players, matches] = await db.batch([
+    db.prepare(
+      `SELECT player, alias, list_id, dropped_round, registered_at FROM tournament_players
+       WHERE tournament_id = ? ORDER BY registered_at ASC`
+    ).bind(id),
+    db.prepare(
+      `SELECT round, table_no, player1, player2, winner, battle_id, reported_at FROM tournament_matches
+       WHERE tournament_id = ? ORDER BY round ASC, table_no ASC`
+    ).bind(id),
+  ]);
+  return { tournament, players: players.results as PlayerRow[], matches: matches.results as MatchRow[] };
+}
+
+/** Hash guardado del token de inscripción (SHA-256 en hex): con él se
+ *  comprueba quién puede cambiar la lista de un alias sin guardar el token. */
+export async function registrationTokenHash(token: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** Resultado de `player` en una mesa reportada: 1, 0.5 o 0. */
+function score(m: MatchRow, player: string): number {
+  if (m.player2 === null) return 1;
+  if (m.winner === null) return 0.5;
+  return (m.winner === 1) === (m.player1 === player) ? 1 : 0;
+}
+
+function matchPoints(s: number): number {
+  return s === 1 ? MATCH_POINTS.win : s === 0.5 ? MATCH_POINTS.draw : MATCH_POINTS.loss;
+}
+
+/** Clasificación con desempates. Las mesas pendientes no cuentan. */
+export function computeStandings(players: PlayerRow[], matches: MatchRow[]): Standing[] {
+  const reported = matches.filter(m => m.reported_at);
+  const rows = new Map(players.map(p => [p.player, {
+    rank: 0, player: p.player, alias: p.alias, listId: p.list_id, dropped: p.dropped_round !== null,
+    points: 0, played: 0, wins: 0, draws: 0, losses: 0, byes: 0, buchholz: 0, sonnebornBerger: 0,
+  } as Standing]));
+
+  for (const m of reported) {
+    for (const player of m.player2 === null ? [m.player1] : [m.player1, m.player2]) {
+      const row = rows.get(player);
+      if (!row) continue;
+      const s = score(m, player);
+      row.points += matchPoints(s);
+      row.played++;
+      if (m.player2 === null) row.byes++;
+      if (s === 1) row.wins++;
+      else if (s === 0.5) row.draws++;
+      else row.losses++;
+    }
+  }
+  // Los desempates necesitan los puntos finales de todos
+  for (const m of reported) {
+    if (m.player2 === null) continue;
+    for (const [player, opponent] of [[m.player1, m.player2], [m.player2, m.player1]]) {
+      const row = rows.get(player);
+      const opp = rows.get(opponent);
+      if (!row || !opp) continue;
+      row.buchholz += opp.points;
+      row.sonnebornBerger += score(m, player) * opp.points;
+    }
+  }
+
+  const ranked = [...rows.values()].sort((a, b) =>
+    b.points - a.points || b.buchholz - a.buchholz || b.sonnebornBerger - a.sonnebornBerger
+    || b.wins - a.wins || (a.alias < b.alias ? -1 : a.alias > b.alias ? 1 : 0));
+  ranked.forEach((r, i) => { r.rank = i + 1; });
+  return ranked;
+}
+
+function pairKey(a: string, b: string): string {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/** Empareja `ids` en orden (cada uno con el siguiente disponible) sin
+ *  repetir cruces. null si no hay forma o se agotan los intentos. */
+function pairWithoutRematches(
+  ids: string[], played: Set<string>, budget: { steps: number },
+): [string, string][] | null {
+  if (!ids.length) return [];
+  const [first, ...rest] = ids;
+  for (let i = 0; i < rest.length; i++) {
+    if (--budget.steps < 0) return null;
+    if (played.has(pairKey(first, rest[i]))) continue;
+    const tail = pairWithoutRematches([...rest.slice(0, i), ...rest.slice(i + 1)], played, budget);
+    if (tail) return [[first, rest[i]], ...tail];
+  }
+  return null;
+}
+
+function shuffle<T>(items: T[]): T[] {
+  const out = [...items];
+  const rnd = new Uint32Array(out.length);
+  crypto.getRandomValues(rnd);
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = rnd[i] % (i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/** Mesas de la ronda siguiente para los jugadores no retirados.
+ *
+ *  Ronda 1 en orden aleatorio; después, por clasificación, cada jugador
+ *  contra el mejor clasificado con el que aún no ha jugado. Con número impar
+ *  el bye es para el peor clasificado que no lo haya tenido. Solo si no
+ *  existe ningún emparejamiento sin revanchas se permiten. */
+export function pairRound(
+  players: PlayerRow[], matches: MatchRow[],
+): { pairs: [string, string | null][]; rematches: boolean } {
+  const active = new Set(players.filter(p => p.dropped_round === null).map(p => p.player));
+  const order = matches.length
+    ? computeStandings(players, matches).map(s => s.player).filter(p => active.has(p))
+    : shuffle([...active]);
+  const played = new Set(matches.filter(m => m.player2 !== null).map(m => pairKey(m.player1, m.player2!)));
+  const hadBye = new Set(matches.filter(m => m.player2 === null).map(m => m.player1));
+
+  // Candidatos al bye: de abajo arriba, primero los que no lo han tenido
+  const byeCandidates: (string | null)[] = order.length % 2
+    ? [...order].reverse().sort((a, b) => Number(hadBye.has(a)) - Number(hadBye.has(b)))
+    : [null];
+  const budget = { steps: MAX_PAIRING_STEPS };
+  for (const bye of byeCandidates) {
+    const pairs = pairWithoutRematches(order.filter(p => p !== bye), played, budget);
+    if (pairs) return { pairs: [...pairs, ...(bye ? [[bye, null] as [string, null]] : [])], rematches: false };
+    if (budget.steps < 0) break;
+  }
+
+  const bye = byeCandidates[0];
+  const rest = order.filter(p => p !== bye);
+  const pairs: [string, string | null][] = [];
+  for (let i = 0; i < rest.length; i += 2) pairs.push([rest[i], rest[i + 1]]);
+  if (bye) pairs.push([bye, null]);
+  return { pairs, rematches: true };
+}
+
+/** Inserta las mesas de una ronda (tabla 1, 2…; el bye, reportado ya como
+ *  victoria, al final). */
+export function insertMatchesStatement(
+  db: D1Database, tournamentId: string, round: number, pairs: [string, string | null][], now: string,
+): D1PreparedStatement {
+  return db.prepare(
+    `INSERT INTO tournament_matches (tournament_id, round, table_no, player1, player2, winner, reported_at)
+     SELECT ?, ?, key + 1, json_extract(value, '$[0]'), json_extract(value, '$[1]'),
+            CASE WHEN json_extract(value, '$[1]') IS NULL THEN 1 END,
+            CASE WHEN json_extract(value, '$[1]') IS NULL THEN ? END
+     FROM json_each(?)`
+  ).bind(tournamentId, round, now, JSON.stringify(pairs));
+}
@@ -0,0 +1,203 @@
+import { normalizeFuncName } from './battle-stats';
+import { revisionStatement } from './revisions';
+
+/** Quién usa un elemento del catálogo (tipo de hex, amenaza o función):
+ *  GET /api/{hex-types,threats,functions}/:id/usages y el borrado seguro.
+ *
+ *  Referencias por id:
+ *  - tipo de hex: `hexMap.hexes[].typeId` (aunque el escenario lleve copia
+ *    en `hexMap.hexTypes`: al sustituirlo se cambian las casillas);
+ *  - amenaza: claves de `amenazaCounts` / `amenazaTurnos` y `amenazaIds`;
+ *  - función: `linkedFunctions` de escenarios y de amenazas.
+ *
+ *  Las listas guardadas nombran las funciones por `func_name`, no por id: se
+ *  informan pero no se reescriben (su contenido es inmutable, ver
+ *  `./list-ids`). */
+
+export type CatalogKind = 'hex_type' | 'threat' | 'function';
+
+export const CATALOG_TABLES: Record<CatalogKind, string> = {
+  hex_type: 'hex_types',
+  threat: 'threats',
+  function: 'functions',
+};
+
+export interface UsageRef {
+  /** Campo dentro de `data`, p. ej. `hexMap.hexes`. */
+  path: string;
+  count: number;
+}
+
+export interface Usages {
+  scenarios: { id: string; title: string; refs: UsageRef[] }[];
+  threats: { id: string; name: string; refs: UsageRef[] }[];
+  lists: { id: string; programmer: string | null; created_at: string }[];
+  total: number;
+}
+
+type Data = Record<string, unknown>;
+
+function parseData(raw: string): Data {
+  try {
+    const d = JSON.parse(raw);
+    return d && typeof d === 'object' && !Array.isArray(d) ? d : {};
+  } catch {
+    return {};
+  }
+}
+
+/** `hexMap` como objeto; en escenarios antiguos viene como string JSON. */
+function hexMapOf(d: Data): { hexes?: unknown } {
+  let m = d.hexMap;
+  if (typeof m === 'string') {
+    try { m = JSON.parse(m); } catch { return {}; }
+  }
+  return m && typeof m === 'object' ? m as { hexes?: unknown } : {};
+}
+
+function asArray(value: unknown): unknown[] {
+  return Array.isArray(value) ? value : [];
+}
+
+function hasKey(value: unknown, key: string): boolean {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && Object.hasOwn(value, key);
+}
+
+function refsOf(kind: CatalogKind, id: string, d: Data): UsageRef[] {
+  const refs: UsageRef[] = [];
+  const add = (path: string, count: number) => { if (count) refs.push({ path, count }); };
+  if (kind === 'hex_type') {
+    const map = hexMapOf(d);
+    add('hexMap.hexes', asArray(map.hexes).filter(h => (h as { typeId?: unknown })?.typeId === id).length);
+  } else if (kind === 'threat') {
+    add('amenazaCounts', hasKey(d.amenazaCounts, id) ? 1 : 0);
+    add('amenazaTurnos', hasKey(d.amenazaTurnos, id) ? 1 : 0);
+    add('amenazaIds', asArray(d.amenazaIds).filter(t => t === id).length);
+  } else {
+    add('linkedFunctions', asArray(d.linkedFunctions).filter(f => f === id).length);
+  }
+  return refs;
+}
+
+function listUsesFunction(data: Data, name: string): boolean {
+  return asArray(data.bots).some(raw => {
+    const af = ((raw as Data | null)?.attackFunctions ?? {}) as Data;
+    return [af.v1, af.v2, af.v3].flat().some(n => typeof n === 'string' && normalizeFuncName(n) === name);
+  });
+}
+
+/** Filas candidatas: el id aparece tal cual en el JSON de `data` (también
+ *  dentro de un `hexMap` en string); el filtro fino se hace al parsear. */
+async function candidateScenarios(db: D1Database, id: string) {
+  const rows = await db.prepare('SELECT id, title, data FROM scenarios WHERE instr(data, ?) > 0 ORDER BY title ASC')
+    .bind(id).all<{ id: string; title: string; data: string }>();
+  return rows.results;
+}
+
+async function candidateThreats(db: D1Database, id: string) {
+  const rows = await db.prepare('SELECT id, name, data FROM threats WHERE instr(data, ?) > 0 ORDER BY name ASC')
+    .bind(id).all<{ id: string; name: string; data: string }>();
+  return rows.results;
+}
+
+export async function findUsages(db: D1Database, kind: CatalogKind, id: string): Promise<Usages> {
+  const usages: Usages = { scenarios: [], threats: [], lists: [], total: 0 };
+  for (const s of await candidateScenarios(db, id)) {
+    const refs = refsOf(kind, id, parseData(s.data));
+    if (refs.length) usages.scenarios.push({ id: s.id, title: s.title, refs });
+  }
+
+  if (kind === 'function') {
+    for (const t of await candidateThreats(db, id)) {
+      const refs = refsOf(kind, id, parseData(t.data));
+      if (refs.length) usages.threats.push({ id: t.id, name: t.name, refs });
+    }
+    const fn = await db.prepare('SELECT func_name FROM functions WHERE id = ?').bind(id).first<{ func_name: string }>();
+    const name = fn ? normalizeFuncName(fn.func_name) : '';
+    if (name) {
+      const lists = await db.prepare(
+        'SELECT id, data, created_at FROM lists WHERE instr(lower(data), ?) > 0 ORDER BY created_at DESC'
+      ).bind(name).all<{ id: string; data: string; created_at: string }>();
+      for (const l of lists.results) {
+        const data = parseData(l.data);
+        if (!listUsesFunction(data, name)) continue;
+        const programmer = typeof data.programmer === 'string' ? data.programmer : null;
+        usages.lists.push({ id: l.id, programmer, created_at: l.created_at });
+      }
+    }
+  }
+
+  usages.total = usages.scenarios.length + usages.threats.length + usages.lists.length;
+  return usages;
+}
+
+function renameKey(value: unknown, from: string, to: string, merge: (a: unknown, b: unknown) => unknown): unknown {
+  if (!hasKey(value, from)) return value;
+  const out: Data = {};
+  for (const [k, v] of Object.entries(value as Data)) {
+    if (k === from) out[to] = hasKey(value, to) ? merge((value as Data)[to], v) : v;
+    else if (k !== to || !Object.hasOwn(out, to)) out[k] = v;
+  }
+  return out;
+}
+
+function replaceInArray(value: unknown, from: string, to: string): unknown {
+  return Array.isArray(value) ? [...new Set(value.map(v => (v === from ? to : v)))] : value;
+}
+
+/** `data` con `from` sustituido por `to`. Si el escenario ya usaba `to`
+ *  como amenaza, se suman las cantidades y se unen los turnos. */
+function rewrite(kind: CatalogKind, from: string, to: string, d: Data): Data {
+  if (kind === 'hex_type') {
+    const map = hexMapOf(d);
+    const hexes = asArray(map.hexes).map(h =>
+      (h as { typeId?: unknown })?.typeId === from ? { ...(h as Data), typeId: to } : h);
+    const next = { ...map, hexes };
+    return { ...d, hexMap: typeof d.hexMap === 'string' ? JSON.stringify(next) : next };
+  }
+  if (kind === 'threat') {
+    return {
+      ...d,
+      amenazaCounts: renameKey(d.amenazaCounts, from, to, (a, b) => (Number(a) || 0) + (Number(b) || 0)),
+      amenazaTurnos: renameKey(d.amenazaTurnos, from, to,
+        (a, b) => [...new Set([...asArray(a), ...asArray(b)])].sort((x, y) => Number(x) - Number(y))),
+      ...(d.amenazaIds !== undefined ? { amenazaIds: replaceInArray(d.amenazaIds, from, to) } : {}),
+    };
+  }
+  return { ...d, linkedFunctions: replaceInArray(d.linkedFunctions, from, to) };
+}
+
+/** UPDATEs que cambian `from` por `to` en los escenarios (y, para
+ *  funciones, en las amenazas) que lo referencian. Van en el mismo batch
+ *  que el DELETE. */
+export async function replaceStatements(
+  db: D1Database, kind: CatalogKind, from: string, to: string,
+): Promise<{ statements: D1PreparedStatement[]; scenarios: number; threats: number }> {
+  const now = new Date().toISOString();
+  const statements: D1PreparedStatement[] = [];
+  let scenarios = 0;
+  let threats = 0;
+  for (const s of await candidateScenarios(db, from)) {
+    const data = parseData(s.data);
+    if (!refsOf(kind, from, data).length) continue;
+    statements.push(
+      revisionStatement(db, 'scenarios', s.id, 'replace'),
+      db.prepare('UPDATE scenarios SET data = ?, updated_at = ? WHERE id = ?')
+        .bind(JSON.stringify(rewrite(kind, from, to, data)), now, s.id),
+    );
+    scenarios++;
+  }
+  if (kind === 'function') {
+    for (const t of await candidateThreats(db, from)) {
+      const data = parseData(t.data);
+      if (!refsOf(kind, from, data).length) continue;
+      statements.push(
+        revisionStatement(db, 'threats', t.id, 'replace'),
+        db.prepare('UPDATE threats SET data = ?, updated_at = ? WHERE id = ?')
+          .bind(JSON.stringify(rewrite(kind, from, to, data)), now, t.id),
+      );
+      threats++;
+    }
+  }
+  return { statements, scenarios, threats };
+}